@@ -7,14 +7,21 @@ const _ = {
     each: require('lodash/each'),
     pull: require('lodash/pull'),
     extend: require('lodash/extend'),
+    isEqual: require('lodash/isEqual'),
 };
 
+const EventEmitter = require('eventemitter3');
 const DuplexStream = require('stream').Duplex;
+const ChannelModes = require('./channelmodes');
+const Masks = require('./masks');
 
-module.exports = class IrcChannel {
+module.exports = class IrcChannel extends EventEmitter {
     constructor(irc_client, channel_name, key) {
+        super();
+
         this.irc_client = irc_client;
         this.name = channel_name;
+        this.modes = new ChannelModes(irc_client.network);
 
         // TODO: Proxy channel related events from irc_bot to this instance
 
@@ -30,37 +37,37 @@ module.exports = class IrcChannel {
 
         this.users = [];
         irc_client.on('userlist', (event) => {
-            if (event.channel.toLowerCase() === this.name.toLowerCase()) {
+            if (irc_client.network.isSameTarget(event.channel, this.name)) {
                 this.users = event.users;
             }
         });
         irc_client.on('join', (event) => {
-            if (event.channel === this.name) {
+            if (irc_client.network.isSameTarget(event.channel, this.name)) {
                 this.users.push(event);
             }
         });
         irc_client.on('part', (event) => {
-            if (event.channel === this.name) {
+            if (irc_client.network.isSameTarget(event.channel, this.name)) {
                 this.users = _.filter(this.users, function(o) {
-                    return o.nick.toLowerCase() !== event.nick.toLowerCase();
+                    return !irc_client.network.isSameTarget(o.nick, event.nick);
                 });
             }
         });
         irc_client.on('kick', (event) => {
-            if (event.channel === this.name) {
+            if (irc_client.network.isSameTarget(event.channel, this.name)) {
                 this.users = _.filter(this.users, function(o) {
-                    return o.nick.toLowerCase() !== event.kicked.toLowerCase();
+                    return !irc_client.network.isSameTarget(o.nick, event.kicked);
                 });
             }
         });
         irc_client.on('quit', (event) => {
             this.users = _.filter(this.users, function(o) {
-                return o.nick.toLowerCase() !== event.nick.toLowerCase();
+                return !irc_client.network.isSameTarget(o.nick, event.nick);
             });
         });
         irc_client.on('nick', (event) => {
             _.find(this.users, function(o) {
-                if (o.nick.toLowerCase() === event.nick.toLowerCase()) {
+                if (irc_client.network.isSameTarget(o.nick, event.nick)) {
                     o.nick = event.new_nick;
                     return true;
                 }
@@ -76,10 +83,12 @@ module.exports = class IrcChannel {
             }
             */
 
-            if (event.target.toLowerCase() !== this.name.toLowerCase()) {
+            if (!irc_client.network.isSameTarget(event.target, this.name)) {
                 return;
             }
 
+            this.updateModes(event, () => this.modes.apply(event.modes));
+
             // There can be multiple modes set at once, loop through
             _.each(event.modes, mode => {
                 // If this mode has a user prefix then we need to update the user object
@@ -88,12 +97,10 @@ module.exports = class IrcChannel {
                     mode: mode.mode[1],
                 });
 
-                if (!user_prefix) {
-                    // TODO : manage channel mode changes
-                } else { // It's a user mode
+                if (user_prefix) {
                     // Find the user affected
                     const user = _.find(this.users, u =>
-                        u.nick.toLowerCase() === mode.param.toLowerCase()
+                        irc_client.network.isSameTarget(u.nick, mode.param)
                     );
 
                     if (!user) {
@@ -110,9 +117,71 @@ module.exports = class IrcChannel {
             });
         });
 
+        irc_client.on('channel info', (event) => {
+            if (event.modes && irc_client.network.isSameTarget(event.channel, this.name)) {
+                this.updateModes(event, () => this.modes.reset(event.modes));
+            }
+        });
+        irc_client.on('banlist', (event) => {
+            this.updateList(event, 'b', event.bans.map(ban => ban.banned));
+        });
+        irc_client.on('exceptlist', (event) => {
+            const mode = irc_client.network.supports('EXCEPTS') || 'e';
+            this.updateList(event, mode, event.exceptions.map(exception => exception.exception));
+        });
+        irc_client.on('inviteList', (event) => {
+            const mode = irc_client.network.supports('INVEX') || 'I';
+            this.updateList(event, mode, event.invites.map(invite => invite.invited));
+        });
+
         this.join(key);
     }
 
+    /**
+     * Run update() against our modes and emit 'modes changed' with the modes before and
+     * after if they changed
+     */
+    updateModes(event, update) {
+        const before = this.modes.snapshot();
+        update();
+        const after = this.modes.snapshot();
+
+        if (!_.isEqual(before, after)) {
+            this.emit('modes changed', {
+                channel: this.name,
+                nick: event.nick,
+                modes: event.modes || [],
+                before: before,
+                after: after,
+                tags: event.tags,
+            });
+        }
+    }
+
+    /**
+     * The bans (+b) set on the channel that match a user, as far as we know them from
+     * MODE changes and banlist(). user may be a nick!user@host string or a user object
+     */
+    matchingBans(user) {
+        const network = this.irc_client.network;
+        return (this.modes.lists.b || []).filter(mask => Masks.match(mask, user, network));
+    }
+
+    // If a user matches a ban and none of the ban exceptions (+e)
+    isBanned(user) {
+        const network = this.irc_client.network;
+        const exceptions = this.modes.lists[network.supports('EXCEPTS') || 'e'] || [];
+
+        return this.matchingBans(user).length > 0 &&
+            !exceptions.some(mask => Masks.match(mask, user, network));
+    }
+
+    updateList(event, mode, masks) {
+        if (this.irc_client.network.isSameTarget(event.channel, this.name)) {
+            this.updateModes(event, () => this.modes.setList(mode, masks));
+        }
+    }
+
     /**
      * Relay messages between this channel to another
      * @param  {IrcChannel|String} target_chan Target channel
@@ -175,7 +244,7 @@ module.exports = class IrcChannel {
         });
 
         this.irc_client.on('privmsg', (event) => {
-            if (event.target.toLowerCase() === this.name.toLowerCase()) {
+            if (this.irc_client.network.isSameTarget(event.target, this.name)) {
                 read_queue.push(event);
 
                 if (is_reading) {
@@ -189,7 +258,7 @@ module.exports = class IrcChannel {
 
     updateUsers(cb) {
         const updateUserList = (event) => {
-            if (event.channel.toLowerCase() === this.name.toLowerCase()) {
+            if (this.irc_client.network.isSameTarget(event.channel, this.name)) {
                 this.irc_client.removeListener('userlist', updateUserList);
                 if (typeof cb === 'function') { cb(this); }
             }
@@ -0,0 +1,89 @@
+'use strict';
+
+const _ = {
+    find: require('lodash/find'),
+    pull: require('lodash/pull'),
+    cloneDeep: require('lodash/cloneDeep'),
+};
+
+/**
+ * The non-prefix modes set on a channel, split by their CHANMODES type:
+ *   lists   Type A, modes with a list of masks. eg. { b: ['*!*@host'] }
+ *   params  Type B and C, modes with a parameter. eg. { k: 'secret', l: '10' }
+ *   flags   Type D, modes without a parameter. eg. ['n', 't']
+ */
+module.exports = class ChannelModes {
+    constructor(network) {
+        this.network = network;
+        this.lists = {};
+        this.params = {};
+        this.flags = [];
+    }
+
+    // 'A', 'B', 'C' or 'D'. Modes the server hasn't told us about are treated as flags
+    modeType(mode) {
+        const chanmodes = this.network.options.CHANMODES || [];
+        for (let i = 0; i < 4; i++) {
+            if ((chanmodes[i] || '').indexOf(mode) > -1) {
+                return 'ABCD'[i];
+            }
+        }
+
+        return 'D';
+    }
+
+    /**
+     * Apply a list of modes as parsed by parseModeList(), eg. [{ mode: '+k', param: 'key' }].
+     * Prefix modes such as +o are member modes and are ignored
+     */
+    apply(modes) {
+        modes.forEach(m => {
+            const adding = m.mode[0] === '+';
+            const mode = m.mode[1];
+
+            if (_.find(this.network.options.PREFIX, { mode: mode })) {
+                return;
+            }
+
+            const type = this.modeType(mode);
+            if (type === 'A') {
+                const list = this.lists[mode] = this.lists[mode] || [];
+                if (adding && list.indexOf(m.param) === -1) {
+                    list.push(m.param);
+                } else if (!adding) {
+                    _.pull(list, m.param);
+                }
+            } else if (type === 'B' || type === 'C') {
+                if (adding) {
+                    this.params[mode] = m.param;
+                } else {
+                    delete this.params[mode];
+                }
+            } else if (adding && this.flags.indexOf(mode) === -1) {
+                this.flags.push(mode);
+            } else if (!adding) {
+                _.pull(this.flags, mode);
+            }
+        });
+    }
+
+    // Replace the params and flags with the full set of modes from RPL_CHANNELMODEIS
+    reset(modes) {
+        this.params = {};
+        this.flags = [];
+        this.apply(modes);
+    }
+
+    // Replace a list mode with the masks from its list numerics, eg. RPL_BANLIST
+    setList(mode, masks) {
+        this.lists[mode] = masks.slice();
+    }
+
+    snapshot() {
+        return {
+            lists: _.cloneDeep(this.lists),
+            params: _.cloneDeep(this.params),
+            flags: this.flags.slice(),
+        };
+    }
+};
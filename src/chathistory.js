@@ -0,0 +1,234 @@
+'use strict';
+
+const _ = {
+    extend: require('lodash/extend'),
+    find: require('lodash/find'),
+    findIndex: require('lodash/findIndex'),
+};
+const { StandardReplyError, TimeoutError, DisconnectedError } = require('./errors');
+
+const CAP_NAME = 'draft/chathistory';
+const DEFAULT_LIMIT = 50;
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * IRCv3 draft/chathistory client API
+ * https://ircv3.net/specs/extensions/chathistory
+ *
+ * Each method requests the capability if needed, sends a CHATHISTORY command and
+ * resolves with the messages in the chathistory batch the server replies with.
+ * Messages have the same shape as their live events ('privmsg', 'notice', etc) with
+ * an added `type` of the event name and `historical: true`.
+ *
+ * Selectors may be '*', a Date, a message event (its msgid or time is used), or an
+ * already formatted 'msgid=...' / 'timestamp=...' string.
+ */
+module.exports = class ChatHistory {
+    constructor(client) {
+        this.client = client;
+        this.pending = [];
+
+        this.bindEvents();
+    }
+
+    latest(target, selector, limit) {
+        return this.request('LATEST', target, [selector || '*'], limit);
+    }
+
+    before(target, selector, limit) {
+        return this.request('BEFORE', target, [selector], limit);
+    }
+
+    after(target, selector, limit) {
+        return this.request('AFTER', target, [selector], limit);
+    }
+
+    around(target, selector, limit) {
+        return this.request('AROUND', target, [selector], limit);
+    }
+
+    between(target, start, end, limit) {
+        return this.request('BETWEEN', target, [start, end], limit);
+    }
+
+    /**
+     * Resolves with the targets that have had messages between two timestamps, as
+     * [{ target: '#channel', time: 1588000000000 }, ...]
+     */
+    targets(start, end, limit) {
+        return this.request('TARGETS', null, [start, end], limit);
+    }
+
+    /**
+     * The maximum number of messages the server allows per request, 0 if unlimited
+     */
+    maxLimit() {
+        return parseInt(this.client.network.supports('CHATHISTORY'), 10) || 0;
+    }
+
+    request(subcommand, target, selectors, limit) {
+        const client = this.client;
+        const max_limit = this.maxLimit();
+
+        limit = parseInt(limit, 10) || (max_limit || DEFAULT_LIMIT);
+        if (max_limit && limit > max_limit) {
+            limit = max_limit;
+        }
+
+        return this.enableCap().then(() => new Promise((resolve, reject) => {
+            const params = selectors.map(formatSelector);
+            const request = {
+                type: subcommand === 'TARGETS' ? 'draft/chathistory-targets' : 'chathistory',
+                target: target,
+                batch_id: null,
+                results: [],
+                resolve: resolve,
+                reject: reject,
+                timer: null,
+            };
+
+            request.timer = setTimeout(() => {
+                this.rejectRequest(request, new TimeoutError('Timed out waiting for chathistory'));
+            }, REQUEST_TIMEOUT);
+
+            this.pending.push(request);
+
+            const args = ['CHATHISTORY', subcommand];
+            if (target) {
+                args.push(target);
+            }
+            client.raw(args.concat(params, [String(limit)]));
+        }));
+    }
+
+    enableCap() {
+        const cap = this.client.network.cap;
+
+        if (cap.isEnabled(CAP_NAME)) {
+            return Promise.resolve();
+        }
+
+        if (!cap.isAvailable(CAP_NAME) || !this.client.connection.registered) {
+            return Promise.reject(new Error('The ' + CAP_NAME + ' capability is not available'));
+        }
+
+        return this.client.requestCap(CAP_NAME);
+    }
+
+    rejectRequest(request, err) {
+        clearTimeout(request.timer);
+        const idx = this.pending.indexOf(request);
+        if (idx > -1) {
+            this.pending.splice(idx, 1);
+        }
+
+        request.reject(err);
+    }
+
+    bindEvents() {
+        const client = this.client;
+        const commands = client.command_handler;
+
+        // Replies come in the same order as requests, so the batch goes to the oldest
+        // request waiting on that type and target
+        commands.on('batch start', (event) => {
+            const batch_target = event.params[0] || '';
+            const idx = _.findIndex(this.pending, request => {
+                return !request.batch_id &&
+                    request.type === event.type &&
+                    (!request.target || this.client.network.isSameTarget(request.target, batch_target));
+            });
+
+            if (idx > -1) {
+                this.pending[idx].batch_id = event.id;
+            }
+        });
+
+        commands.on('all', (event_name, event) => {
+            // 'message' is re-emitted by the client for each privmsg/notice/action
+            if (event_name === 'message' || event_name.indexOf('batch ') === 0) {
+                return;
+            }
+            if (!event || !event.tags || !event.tags.batch) {
+                return;
+            }
+
+            const request = _.find(this.pending, { batch_id: event.tags.batch });
+            if (request && request.type === 'chathistory') {
+                // Marked on the event itself so the client doesn't emit it as a new message
+                event.historical = true;
+                request.results.push(_.extend({ type: event_name }, event));
+            }
+        });
+
+        commands.on('batch end', (event) => {
+            const idx = _.findIndex(this.pending, { batch_id: event.id });
+            if (idx === -1) {
+                return;
+            }
+
+            const request = this.pending.splice(idx, 1)[0];
+            clearTimeout(request.timer);
+
+            if (request.type === 'draft/chathistory-targets') {
+                request.resolve(event.commands.filter(command => {
+                    return command.command === 'CHATHISTORY' && command.params[0] === 'TARGETS';
+                }).map(command => ({
+                    target: command.params[1],
+                    time: Date.parse((command.params[2] || '').replace(/^timestamp=/, '')) || undefined,
+                })));
+            } else {
+                request.resolve(request.results);
+            }
+        });
+
+        // The server could not fulfil the oldest request that has not had a reply yet
+        commands.on('fail', (event) => {
+            if (event.command !== 'CHATHISTORY') {
+                return;
+            }
+
+            const request = _.find(this.pending, { batch_id: null });
+            if (request) {
+                this.rejectRequest(request, new StandardReplyError(event));
+            }
+        });
+
+        client.connection.on('socket close', () => {
+            this.pending.slice().forEach(request => {
+                this.rejectRequest(request, new DisconnectedError('Connection closed before chathistory was received'));
+            });
+        });
+    }
+};
+
+function formatSelector(selector) {
+    if (selector === '*') {
+        return '*';
+    }
+
+    if (selector instanceof Date) {
+        return 'timestamp=' + selector.toISOString();
+    }
+
+    if (typeof selector === 'number') {
+        return 'timestamp=' + new Date(selector).toISOString();
+    }
+
+    // A message event
+    if (selector && typeof selector === 'object') {
+        const tags = selector.tags || {};
+        if (tags.msgid) {
+            return 'msgid=' + tags.msgid;
+        }
+        if (tags.time || selector.time) {
+            return 'timestamp=' + (tags.time || new Date(selector.time).toISOString());
+        }
+    }
+
+    if (typeof selector === 'string' && /^(msgid|timestamp)=/.test(selector)) {
+        return selector;
+    }
+
+    throw new TypeError('Invalid chathistory selector: ' + selector);
+}
@@ -6,6 +6,11 @@ const _ = {
     each: require('lodash/each'),
     defer: require('lodash/defer'),
     bind: require('lodash/bind'),
+    uniq: require('lodash/uniq'),
+    difference: require('lodash/difference'),
+    pull: require('lodash/pull'),
+    dropWhile: require('lodash/dropWhile'),
+    findLastIndex: require('lodash/findLastIndex'),
 };
 const EventEmitter = require('eventemitter3');
 const MiddlewareHandler = require('middleware-handler');
@@ -15,11 +20,40 @@ const Connection = require('./connection');
 const NetworkInfo = require('./networkinfo');
 const User = require('./user');
 const Channel = require('./channel');
+const ChatHistory = require('./chathistory');
+const Monitor = require('./monitor');
+const Ctcp = require('./ctcp');
+const StateTracker = require('./statetracker');
+const Masks = require('./masks');
 const { lineBreak } = require('./linebreak');
+const { encode: encodeUTF8 } = require('isomorphic-textencoder');
 const MessageTags = require('./messagetags');
+const Sts = require('./sts');
+const Errors = require('./errors');
 
 let default_transport = null;
 
+// STS policies are shared between clients unless a client is given its own store
+const default_sts_policy_store = new Sts.MemoryStore();
+
+// Used to generate unique labeled-response labels
+let label_counter = 0;
+
+// Used to generate unique draft/multiline batch IDs
+let batch_counter = 0;
+
+// How many nicks to generate before giving up on registering
+const MAX_GENERATED_NICKS = 10;
+
+// Our host is assumed to be this long if we don't know it and the server has no HOSTLEN
+const DEFAULT_HOSTLEN = 63;
+
+// Bytes left spare when splitting messages, eg. for a ~ the server adds to our ident
+const MESSAGE_SAFETY_MARGIN = 10;
+
+// How long to wait for the reply to a query when it returns a promise
+const QUERY_TIMEOUT = 30000;
+
 module.exports = class IrcClient extends EventEmitter {
     constructor(options) {
         super();
@@ -48,12 +82,20 @@ module.exports = class IrcClient extends EventEmitter {
             enable_chghost: false,
             enable_setname: false,
             enable_echomessage: false,
+            enable_state_tracking: false,
             auto_reconnect: true,
             auto_reconnect_wait: 4000,
             auto_reconnect_max_retries: 3,
             ping_interval: 30,
             ping_timeout: 120,
-            message_max_length: 350,
+            message_max_length: null,
+            monitor_ison_interval: 60,
+            flood_protection: false,
+            flood_protection_burst: 5,
+            flood_protection_interval: 2,
+            alternate_nicks: [],
+            alternate_nick_generator: 'underscore',
+            sts_policy_store: default_sts_policy_store,
             transport: default_transport
         };
 
@@ -82,6 +124,11 @@ module.exports = class IrcClient extends EventEmitter {
 
         client.addCommandHandlerListeners();
 
+        client.chathistory = new ChatHistory(client);
+        client.monitor = new Monitor(client);
+        client.ctcp = new Ctcp(client);
+        client.command_handler.ctcp = client.ctcp;
+
         // Proxy some connection events onto this client
         [
             'connecting',
@@ -105,11 +152,33 @@ module.exports = class IrcClient extends EventEmitter {
             client.startPeriodicPing();
         });
 
+        client.connection.on('socket close', function() {
+            // The expiry of an STS policy is counted from when we disconnect
+            const sts = client.command_handler.hasCache('sts') && client.command_handler.cache('sts');
+            if (sts && sts.duration) {
+                const options = client.connection.options;
+                Sts.savePolicy(options.sts_policy_store, options.host, options.port, sts.duration);
+            }
+
+            client.command_handler.rejectAllLabels(new Errors.DisconnectedError());
+
+            // The reply to a WHO in progress will not arrive on a new connection
+            const who_queue = client.who_queue;
+            if (who_queue && who_queue.is_running) {
+                client.removeListener('wholist', who_queue.on_reply);
+                who_queue.is_running = false;
+            }
+        });
+
         client.connection.on('connecting', function() {
             // Reset cap negotiation on a new connection
             // This prevents stale state if a connection gets closed during CAP negotiation
             client.network.cap.negotiating = false;
             client.network.cap.requested = [];
+            client.network.cap.enabled = [];
+            client.network.cap.available = Object.create(null);
+
+            client.alternate_nick_attempt = 0;
 
             client.command_handler.resetCache();
         });
@@ -127,13 +196,13 @@ module.exports = class IrcClient extends EventEmitter {
         });
 
         client.on('away', function(event) {
-            if (event.nick.toLowerCase() === client.user.nick.toLowerCase()) {
+            if (client.network.isSameTarget(event.nick, client.user.nick)) {
                 client.user.away = true;
             }
         });
 
         client.on('back', function(event) {
-            if (event.nick.toLowerCase() === client.user.nick.toLowerCase()) {
+            if (client.network.isSameTarget(event.nick, client.user.nick)) {
                 client.user.away = false;
             }
         });
@@ -149,8 +218,90 @@ module.exports = class IrcClient extends EventEmitter {
         });
     }
 
+    /**
+     * Request extra capabilities. Before registering they are requested as part of CAP
+     * negotiation, afterwards a CAP REQ is sent and a promise is returned that resolves
+     * once the server ACKs or rejects once the server NAKs the request.
+     */
     requestCap(cap) {
-        this.request_extra_caps = this.request_extra_caps.concat(cap);
+        const caps = [].concat(cap);
+        this.request_extra_caps = _.uniq(this.request_extra_caps.concat(caps));
+        this.command_handler.requestExtraCaps(caps);
+
+        if (!this.connection.registered) {
+            return;
+        }
+
+        return this.sendCapRequest(caps);
+    }
+
+    /**
+     * Disable capabilities with a CAP REQ :-cap. Returns a promise that resolves once the
+     * server ACKs or rejects once the server NAKs the request.
+     */
+    disableCap(cap) {
+        const caps = [].concat(cap);
+        this.request_extra_caps = _.difference(this.request_extra_caps, caps);
+        this.command_handler.request_extra_caps = _.difference(this.command_handler.request_extra_caps, caps);
+
+        return this.sendCapRequest(caps.map(c => '-' + c));
+    }
+
+    sendCapRequest(caps) {
+        const client = this;
+        const cap_names = caps.map(c => c.replace(/^-/, '')).sort();
+
+        const promise = new Promise(function(resolve, reject) {
+            // Nothing would ever answer the request
+            if (!client.connection.connected) {
+                const err = new Error('Not connected, the capability request was not sent');
+                err.capabilities = caps;
+                reject(err);
+                return;
+            }
+
+            // The server ACKs or NAKs a request as a whole, so match on all of its capabilities
+            function onCapReply(event) {
+                const reply_names = Object.keys(event.capabilities).sort();
+                if (reply_names.join(' ') !== cap_names.join(' ')) {
+                    return;
+                }
+
+                unbindEvents();
+                if (event.command === 'ACK') {
+                    resolve(event);
+                } else {
+                    const err = new Error('Capability request rejected: ' + caps.join(' '));
+                    err.capabilities = caps;
+                    reject(err);
+                }
+            }
+
+            function onClose() {
+                unbindEvents();
+                const err = new Error('Connection closed before the capability request was answered');
+                err.capabilities = caps;
+                reject(err);
+            }
+
+            function unbindEvents() {
+                client.removeListener('cap ack', onCapReply);
+                client.removeListener('cap nak', onCapReply);
+                client.removeListener('socket close', onClose);
+            }
+
+            client.on('cap ack', onCapReply);
+            client.on('cap nak', onCapReply);
+            client.on('socket close', onClose);
+
+            client.raw('CAP REQ :' + caps.join(' '));
+        });
+
+        // CAP REQ was fire and forget before it returned a promise, so a rejection nobody
+        // is waiting on is not treated as unhandled
+        promise.catch(() => {});
+
+        return promise;
     }
 
     use(middleware_fn) {
@@ -172,6 +323,13 @@ module.exports = class IrcClient extends EventEmitter {
 
         client._applyDefaultOptions(options);
 
+        // Options may only be given to connect(), so state tracking starts here
+        if (options.enable_state_tracking && !client.channels) {
+            const state = new StateTracker(client);
+            client.channels = state.channels;
+            client.users = state.users;
+        }
+
         if (client.connection && client.connection.connected) {
             client.debugOut('connect() called when already connected');
             client.connection.end();
@@ -180,11 +338,25 @@ module.exports = class IrcClient extends EventEmitter {
         client.user.nick = options.nick;
         client.user.username = options.username;
         client.user.gecos = options.gecos;
+        client.user.host = '';
 
         client.command_handler.requestExtraCaps(client.request_extra_caps);
 
+        // Connect with TLS if the host has an STS policy. The policy port replaces the given one
+        let connect_options = options;
+        if (!options.tls && !options.ssl && Sts.transportSupportsSts(options.transport)) {
+            const policy = Sts.getPolicy(options.sts_policy_store, options.host);
+            if (policy) {
+                client.debugOut('STS policy found, connecting with TLS on port ' + policy.port);
+                connect_options = _.extend({}, options, {
+                    tls: true,
+                    port: policy.port
+                });
+            }
+        }
+
         // Everything is setup and prepared, start connecting
-        client.connection.connect(options);
+        client.connection.connect(connect_options);
     }
 
     // Proxy the command handler events onto the client object, with some added sugar
@@ -199,10 +371,16 @@ module.exports = class IrcClient extends EventEmitter {
         this.command_handler.on('all', function(event_name, event_arg) {
             client.resetPingTimeoutTimer();
 
+            // Messages from a chathistory batch are only returned by the client.chathistory
+            // request waiting on them
+            if (event_arg && event_arg.historical) {
+                return;
+            }
+
             // Add a reply() function to selected message events
             if (['privmsg', 'notice', 'action'].indexOf(event_name) > -1) {
                 event_arg.reply = function(message) {
-                    const dest = event_arg.target === client.user.nick ?
+                    const dest = client.network.isSameTarget(event_arg.target, client.user.nick) ?
                         event_arg.nick :
                         event_arg.target;
 
@@ -230,7 +408,7 @@ module.exports = class IrcClient extends EventEmitter {
         const commands = this.command_handler;
 
         commands.on('nick', function(event) {
-            if (client.user.nick === event.nick) {
+            if (client.network.isSameTarget(client.user.nick, event.nick)) {
                 // nicks starting with numbers are reserved for uuids
                 // we dont want to store these as they cannot be used
                 if (event.new_nick.match(/^\d/)) {
@@ -241,7 +419,7 @@ module.exports = class IrcClient extends EventEmitter {
         });
 
         commands.on('mode', function(event) {
-            if (client.user.nick === event.target) {
+            if (client.network.isSameTarget(client.user.nick, event.target)) {
                 event.modes.forEach(function(mode) {
                     client.user.toggleModes(mode.mode);
                 });
@@ -256,6 +434,33 @@ module.exports = class IrcClient extends EventEmitter {
             }
         });
 
+        // Try another nick if ours is rejected while registering. This waits until the event
+        // has been emitted from the client, after any middleware, so apps listening for it
+        // may take over by calling changeNick() themselves. Listening to 'all' here, before
+        // proxyIrcEvents() does, makes sure we are waiting before the client emits it
+        function onNickRejected(event_name, event, is_invalid) {
+            client.once(event_name, function() {
+                if (client.connection.registered) {
+                    return;
+                }
+                if (!client.network.isSameTarget(String(client.requested_nick), String(event.nick))) {
+                    return;
+                }
+
+                const nick = client.nextAlternateNick(is_invalid);
+                if (nick) {
+                    client.user.nick = nick;
+                    client.changeNick(nick);
+                }
+            });
+        }
+
+        commands.on('all', function(event_name, event) {
+            if (event_name === 'nick in use' || event_name === 'nick invalid') {
+                onNickRejected(event_name, event, event_name === 'nick invalid');
+            }
+        });
+
         commands.on('registered', function(event) {
             client.user.nick = event.nick;
             client.connection.registeredSuccessfully();
@@ -263,8 +468,27 @@ module.exports = class IrcClient extends EventEmitter {
         });
 
         commands.on('displayed host', function(event) {
-            if (client.user.nick === event.nick) {
-                client.user.host = event.host;
+            if (client.network.isSameTarget(client.user.nick, event.nick)) {
+                client.user.host = event.hostname;
+            }
+        });
+
+        commands.on('user updated', function(event) {
+            if (!client.network.isSameTarget(client.user.nick, event.nick)) {
+                return;
+            }
+            if (event.new_ident) {
+                client.user.username = event.new_ident;
+            }
+            if (event.new_hostname) {
+                client.user.host = event.new_hostname;
+            }
+        });
+
+        commands.on('join', function(event) {
+            if (client.network.isSameTarget(client.user.nick, event.nick) && event.hostname) {
+                client.user.username = event.ident;
+                client.user.host = event.hostname;
             }
         });
 
@@ -301,7 +525,7 @@ module.exports = class IrcClient extends EventEmitter {
             this.raw('PASS', this.options.password);
         }
 
-        this.raw('NICK', this.user.nick);
+        this.changeNick(this.user.nick);
         this.raw('USER', this.options.username, 0, '*', this.user.gecos);
     }
 
@@ -348,10 +572,46 @@ module.exports = class IrcClient extends EventEmitter {
      */
     raw(input) {
         if (input instanceof IrcMessage) {
-            this.connection.write(input.to1459());
-        } else {
-            this.connection.write(this.rawString.apply(this, arguments));
+            return this.connection.write(input.to1459());
+        }
+
+        return this.connection.write(this.rawString.apply(this, arguments));
+    }
+
+    /**
+     * Send a command with a labeled-response label and collect the replies to it.
+     * Accepts an IrcMessage or an array of command arguments, eg. ['WHOIS', 'nick'].
+     * Returns a promise that resolves with an array of the reply commands, or rejects
+     * after options.timeout ms
+     */
+    request(input, options) {
+        const message = input instanceof IrcMessage ?
+            input :
+            new IrcMessage(...[].concat(input).map(String));
+        const request_options = _.extend({ timeout: 30000 }, options);
+
+        // Nothing would ever answer the request
+        if (!this.connection.connected) {
+            return Promise.reject(new Errors.DisconnectedError('Not connected, the request was not sent'));
+        }
+        if (!this.network.cap.isEnabled('labeled-response')) {
+            return Promise.reject(new Error('The labeled-response capability is not enabled'));
         }
+
+        const label = 'ifl' + (++label_counter);
+        message.tags.label = label;
+
+        return new Promise((resolve, reject) => {
+            this.command_handler.awaitLabel(label, request_options.timeout, function(err, commands) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(commands);
+                }
+            });
+
+            this.raw(message);
+        });
     }
 
     rawString(input) {
@@ -383,27 +643,118 @@ module.exports = class IrcClient extends EventEmitter {
     }
 
     changeNick(nick) {
+        this.requested_nick = nick;
         this.raw('NICK', nick);
     }
 
-    sendMessage(commandName, target, message) {
+    /**
+     * The next nick to try during registration. The alternate_nicks option is worked through
+     * first, then nicks are generated from the original nick by the alternate_nick_generator
+     * option: 'underscore', 'digits', or function(nick, attempt) returning a nick.
+     */
+    nextAlternateNick(is_invalid) {
+        const alternates = this.options.alternate_nicks || [];
+        const attempt = this.alternate_nick_attempt || 0;
+        this.alternate_nick_attempt = attempt + 1;
+
+        if (attempt < alternates.length) {
+            return alternates[attempt];
+        }
+
+        const generated = attempt - alternates.length + 1;
+        if (generated > MAX_GENERATED_NICKS) {
+            return null;
+        }
+
+        // NICKLEN is usually only known after registering. An erroneous nick may be too long
+        // so fall back to the RFC1459 limit of 9 characters
+        let max_length = parseInt(this.network.supports('NICKLEN'), 10) || 0;
+        if (!max_length && is_invalid) {
+            max_length = 9;
+        }
+
+        return generateNick(this.options.alternate_nick_generator, this.options.nick, generated, max_length);
+    }
+
+    sendMessage(commandName, target, message, tags) {
+        const multiline = getMultilineLimits(this.network);
         const lines = message
             .split(/\r\n|\n|\r/)
-            .filter(i => i);
+            .filter(i => i || multiline);
+        const blocks = [];
 
+        const max_bytes = maxMessageBytes(this, commandName, target);
         lines.forEach(line => {
-            // Maximum length of target + message we can send to the IRC server is 500 characters
-            // but we need to leave extra room for the sender prefix so the entire message can
-            // be sent from the IRCd to the target without being truncated.
-            const blocks = [
+            const line_blocks = [
                 ...lineBreak(line, {
-                    bytes: this.options.message_max_length,
+                    bytes: max_bytes,
                     allowBreakingWords: true,
                     allowBreakingGraphemes: true,
                 })
             ];
 
-            blocks.forEach(block => this.raw(commandName, target, block));
+            if (!line_blocks.length) {
+                blocks.push({ text: '', concat: false });
+                return;
+            }
+
+            // lineBreak() drops the whitespace it breaks lines on. Keep it at the start of
+            // the next block so that multiline-concat lines join back into the original line
+            let offset = 0;
+            line_blocks.forEach((block, idx) => {
+                const start = line.indexOf(block, offset);
+                blocks.push({
+                    text: (multiline ? line.substring(offset, start) : '') + block,
+                    concat: idx > 0,
+                });
+                offset = start + block.length;
+            });
+        });
+
+        // Blank lines are only kept between lines of a multiline message
+        while (blocks.length && !blocks[0].text) {
+            blocks.shift();
+        }
+        while (blocks.length && !blocks[blocks.length - 1].text) {
+            blocks.pop();
+        }
+
+        if (multiline && blocks.length > 1) {
+            this.sendMultilineBatches(commandName, target, blocks, multiline, tags);
+        } else {
+            blocks.forEach(block => {
+                const msg = new IrcMessage(commandName, target, block.text);
+                msg.tags = _.extend(msg.tags, tags);
+                this.raw(msg);
+            });
+        }
+    }
+
+    // Tags for the whole message are sent on the opening BATCH command
+    sendMultilineBatches(commandName, target, blocks, limits, tags) {
+        groupMultilineBlocks(blocks, limits).forEach(group => {
+            if (group.length === 1) {
+                const msg = new IrcMessage(commandName, target, group[0].text);
+                msg.tags = _.extend(msg.tags, tags);
+                this.raw(msg);
+                return;
+            }
+
+            const batch_id = 'ml' + (++batch_counter);
+            const batch_msg = new IrcMessage('BATCH', '+' + batch_id, 'draft/multiline', target);
+            batch_msg.tags = _.extend(batch_msg.tags, tags);
+            this.raw(batch_msg);
+
+            group.forEach((block, idx) => {
+                const msg = new IrcMessage(commandName, target, block.text);
+                msg.tags.batch = batch_id;
+                if (block.concat && idx > 0) {
+                    msg.tags['draft/multiline-concat'] = true;
+                }
+                this.raw(msg);
+            });
+
+            this.raw('BATCH', '-' + batch_id);
         });
     }
 
@@ -421,6 +772,35 @@ module.exports = class IrcClient extends EventEmitter {
         this.raw(msg);
     }
 
+    /**
+     * Reply to a message event. The reply is tagged with the msgid of the event so
+     * clients supporting +draft/reply may thread it
+     */
+    reply(event, message) {
+        const tags = {};
+        if (event.tags && event.tags.msgid && messageTagsEnabled(this.network)) {
+            tags['+draft/reply'] = event.tags.msgid;
+        }
+
+        return this.sendMessage('PRIVMSG', replyTarget(this, event), message, tags);
+    }
+
+    /**
+     * React to a message event with an emoji or short text. Returns false if the
+     * reaction could not be sent
+     */
+    react(event, reaction) {
+        if (!event.tags || !event.tags.msgid || !messageTagsEnabled(this.network)) {
+            return false;
+        }
+
+        this.tagmsg(replyTarget(this, event), {
+            '+draft/reply': event.tags.msgid,
+            '+draft/react': reaction,
+        });
+        return true;
+    }
+
     join(channel, key) {
         const raw = ['JOIN', channel];
         if (key) {
@@ -451,45 +831,118 @@ module.exports = class IrcClient extends EventEmitter {
         this.raw(raw);
     }
 
-    inviteList(channel, cb) {
-        const client = this;
-        const invex = this.network.supports('INVEX');
-        let mode = 'I';
-
-        if (typeof invex === 'string' && invex) {
-            mode = invex;
+    /**
+     * Kick a nick or array of nicks from a channel. As many nicks are kicked per line as
+     * TARGMAX allows and the reason is truncated to KICKLEN. With options.remove, REMOVE
+     * is used on servers that support it to force the users to part instead
+     */
+    kick(channel, nicks, reason, options) {
+        const network = this.network;
+        nicks = [].concat(nicks || []);
+        reason = truncateBytes(reason || '', network.limit('KICKLEN'));
+
+        const use_remove = options && options.remove &&
+            (network.supports('REMOVE') || network.targMax('REMOVE'));
+        if (use_remove) {
+            nicks.forEach(nick => this.raw(reasonArgs(['REMOVE', channel, nick], reason)));
+            return;
         }
 
-        function onInviteList(event) {
-            if (event.channel.toLowerCase() === channel.toLowerCase()) {
-                unbindEvents();
-                if (typeof cb === 'function') {
-                    cb(event);
-                }
-            }
+        const per_line = network.targMax('KICK') || 1;
+        for (let i = 0; i < nicks.length; i += per_line) {
+            this.raw(reasonArgs(['KICK', channel, nicks.slice(i, i + per_line).join(',')], reason));
         }
+    }
 
-        function onInviteListErr(event) {
-            if (event.error === 'chanop_privs_needed') {
-                unbindEvents();
-                if (typeof cb === 'function') {
-                    cb(null);
-                }
-            }
+    /**
+     * Ban a nick by their host and kick them. Their host is taken from the tracked state
+     * if enabled, otherwise looked up with WHO. Returns a promise resolving with the mask
+     * that was banned
+     */
+    kickban(channel, nick, reason, mask_style) {
+        return lookupUser(this, nick).then(user => {
+            const mask = Masks.build(user, mask_style || 'host');
+            this.setModes(channel, [{ mode: '+b', param: mask }]);
+            this.kick(channel, nick, reason);
+            return mask;
+        });
+    }
+
+    /**
+     * Set a list of modes on a channel, eg. [{ mode: '+o', param: 'nick' }, { mode: '-m' }].
+     * Modes are packed into as few MODE lines as the MODES limit and line length allow,
+     * keeping them in the order given
+     */
+    setModes(channel, modes) {
+        packModes(this.network, channel, modes).forEach(raw => this.raw(raw));
+    }
+
+    op(channel, nicks) {
+        this.setModes(channel, paramModes('+o', nicks));
+    }
+
+    deop(channel, nicks) {
+        this.setModes(channel, paramModes('-o', nicks));
+    }
+
+    voice(channel, nicks) {
+        this.setModes(channel, paramModes('+v', nicks));
+    }
+
+    devoice(channel, nicks) {
+        this.setModes(channel, paramModes('-v', nicks));
+    }
+
+    /**
+     * Stop masks from talking in a channel, using +q where it is a list mode or a mute
+     * extban. Returns false if the network supports neither
+     */
+    quiet(channel, masks) {
+        return this.setQuiets(channel, '+', masks);
+    }
+
+    unquiet(channel, masks) {
+        return this.setQuiets(channel, '-', masks);
+    }
+
+    setQuiets(channel, direction, masks) {
+        const network = this.network;
+        const list_modes = (network.supports('CHANMODES') || [])[0] || '';
+
+        if (list_modes.indexOf('q') > -1) {
+            this.setModes(channel, paramModes(direction + 'q', masks));
+            return true;
         }
 
-        function bindEvents() {
-            client.on('inviteList', onInviteList);
-            client.on('irc error', onInviteListErr);
+        // Unreal style ~q:mask or InspIRCd style m:mask
+        const type = _.find(['q', 'm'], t => Masks.buildExtBan(t, '*', network));
+        if (!type) {
+            return false;
         }
 
-        function unbindEvents() {
-            client.removeListener('inviteList', onInviteList);
-            client.removeListener('irc error', onInviteListErr);
+        const extbans = [].concat(masks).map(mask => Masks.buildExtBan(type, mask, network));
+        this.setModes(channel, paramModes(direction + 'b', extbans));
+        return true;
+    }
+
+    inviteList(channel, cb) {
+        const invex = this.network.supports('INVEX');
+        let mode = 'I';
+
+        if (typeof invex === 'string' && invex) {
+            mode = invex;
         }
 
-        bindEvents();
-        this.raw(['MODE', channel, mode]);
+        const options = typeof cb === 'function' ? null : cb;
+        const query = replyQuery(this, {
+            event: 'inviteList',
+            matches: event => this.network.isSameTarget(event.channel, channel),
+            errors: channelQueryErrors(this.network, channel),
+            send: () => this.raw(['MODE', channel, mode]),
+        });
+
+        // Callbacks are given null if the invite list could not be read
+        return runQuery(this, cb, options, query, () => cb(null));
     }
 
     invite(channel, nick) {
@@ -520,19 +973,15 @@ module.exports = class IrcClient extends EventEmitter {
     }
 
     banlist(channel, cb) {
-        const client = this;
-        const raw = ['MODE', channel, 'b'];
-
-        this.on('banlist', function onBanlist(event) {
-            if (event.channel.toLowerCase() === channel.toLowerCase()) {
-                client.removeListener('banlist', onBanlist);
-                if (typeof cb === 'function') {
-                    cb(event);
-                }
-            }
+        const options = typeof cb === 'function' ? null : cb;
+        const query = replyQuery(this, {
+            event: 'banlist',
+            matches: event => this.network.isSameTarget(event.channel, channel),
+            errors: channelQueryErrors(this.network, channel),
+            send: () => this.raw(['MODE', channel, 'b']),
         });
 
-        this.raw(raw);
+        return runQuery(this, cb, options, query);
     }
 
     ban(channel, mask) {
@@ -578,15 +1027,10 @@ module.exports = class IrcClient extends EventEmitter {
     action(target, message) {
         const that = this;
 
-        // Maximum length of target + message we can send to the IRC server is 500 characters
-        // but we need to leave extra room for the sender prefix so the entire message can
-        // be sent from the IRCd to the target without being truncated.
-
         // The block length here is the max, but without the non-content characters:
         // the command name, the space, and the two SOH chars
-
         const commandName = 'ACTION';
-        const blockLength = this.options.message_max_length - (commandName.length + 3);
+        const blockLength = maxMessageBytes(this, 'PRIVMSG', target) - (commandName.length + 3);
         const blocks = [...lineBreak(message, { bytes: blockLength, allowBreakingWords: true, allowBreakingGraphemes: true })];
 
         blocks.forEach(function(block) {
@@ -597,55 +1041,26 @@ module.exports = class IrcClient extends EventEmitter {
     }
 
     whois(target, _cb) {
-        const client = this;
-        let cb;
-        const irc_args = ['WHOIS'];
-
-        // Support whois(target, arg1, arg2, argN, cb)
-        _.each(arguments, function(arg) {
-            if (typeof arg === 'function') {
-                cb = arg;
-            } else {
-                irc_args.push(arg);
-            }
+        const args = parseQueryArgs('WHOIS', arguments);
+        const query = replyQuery(this, {
+            event: 'whois',
+            matches: event => this.network.isSameTarget(event.nick, target),
+            errors: event => event.error === 'no_such_nick' && this.network.isSameTarget(event.nick, target),
+            send: () => this.raw(args.irc_args),
         });
 
-        this.on('whois', function onWhois(event) {
-            if (event.nick.toLowerCase() === target.toLowerCase()) {
-                client.removeListener('whois', onWhois);
-                if (typeof cb === 'function') {
-                    cb(event);
-                }
-            }
-        });
-
-        this.raw(irc_args);
+        return runQuery(this, args.cb, args.options, query);
     }
 
     whowas(target, _cb) {
-        const client = this;
-        let cb;
-        const irc_args = ['WHOWAS'];
-
-        // Support whowas(target, arg1, arg2, argN, cb)
-        _.each(arguments, function(arg) {
-            if (typeof arg === 'function') {
-                cb = arg;
-            } else {
-                irc_args.push(arg);
-            }
+        const args = parseQueryArgs('WHOWAS', arguments);
+        const query = replyQuery(this, {
+            event: 'whowas',
+            matches: event => this.network.isSameTarget(event.nick, target),
+            send: () => this.raw(args.irc_args),
         });
 
-        this.on('whowas', function onWhowas(event) {
-            if (event.nick.toLowerCase() === target.toLowerCase()) {
-                client.removeListener('whowas', onWhowas);
-                if (typeof cb === 'function') {
-                    cb(event);
-                }
-            }
-        });
-
-        this.raw(irc_args);
+        return runQuery(this, args.cb, args.options, query);
     }
 
     /**
@@ -657,8 +1072,16 @@ module.exports = class IrcClient extends EventEmitter {
         if (!this.who_queue) {
             this.who_queue = [];
         }
-        this.who_queue.push([target, cb]);
-        this.processNextWhoQueue();
+
+        const options = typeof cb === 'function' ? null : cb;
+        return runQuery(this, cb, options, (done) => {
+            const queued = [target, done];
+            this.who_queue.push(queued);
+            this.processNextWhoQueue();
+
+            // A cancelled WHO that has not been sent yet is taken out of the queue
+            return () => _.pull(this.who_queue, queued);
+        });
     }
 
     processNextWhoQueue() {
@@ -690,7 +1113,7 @@ module.exports = class IrcClient extends EventEmitter {
             return;
         }
 
-        client.on('wholist', function onWho(event) {
+        client.who_queue.on_reply = function onWho(event) {
             client.removeListener('wholist', onWho);
 
             // Start the next queued WHO request
@@ -703,7 +1126,8 @@ module.exports = class IrcClient extends EventEmitter {
                     users: event.users
                 });
             }
-        });
+        };
+        client.on('wholist', client.who_queue.on_reply);
 
         if (client.network.supports('whox')) {
             client.raw('WHO', target, '%cuhsnfdaor');
@@ -756,3 +1180,346 @@ module.exports = class IrcClient extends EventEmitter {
         return this.match(match_regex, cb, 'action');
     }
 };
+
+// Append a reason as the trailing param if there is one
+function reasonArgs(args, reason) {
+    return reason ? args.concat(reason) : args;
+}
+
+// Truncate a string to a number of UTF-8 bytes without splitting characters
+function truncateBytes(str, max_bytes) {
+    if (!max_bytes || max_bytes === Infinity || encodeUTF8(str).byteLength <= max_bytes) {
+        return str;
+    }
+
+    const chars = Array.from(str);
+    while (chars.length && encodeUTF8(chars.join('')).byteLength > max_bytes) {
+        chars.pop();
+    }
+
+    return chars.join('');
+}
+
+// Find a user's ident and host from the tracked state, or with a WHO
+function lookupUser(client, nick) {
+    const tracked = client.users && client.users.get(nick);
+    if (tracked && tracked.host) {
+        return Promise.resolve(tracked);
+    }
+
+    return client.who(nick).then(event => {
+        const user = _.find(event.users, u => client.network.isSameTarget(u.nick, nick));
+        if (!user) {
+            throw new Errors.ReplyError({
+                error: 'no_such_nick',
+                nick: nick,
+                reason: 'No such nick',
+            });
+        }
+
+        return user;
+    });
+}
+
+// [{ mode: '+o', param: nick }, ...] for a param or an array of them
+function paramModes(mode, params) {
+    return [].concat(params || []).map(param => ({ mode: mode, param: param }));
+}
+
+// Split modes into MODE commands, each with no more than MODES parameters and
+// fitting within the line length
+function packModes(network, channel, modes) {
+    const max_params = network.maxModes();
+    const max_bytes = network.lineLength() - 2;
+    const lines = [];
+    let line = { modes: '', direction: '', params: [] };
+
+    const toRaw = l => ['MODE', channel, l.modes].concat(l.params);
+    const fits = l => l.params.length <= max_params &&
+        encodeUTF8(toRaw(l).join(' ')).byteLength <= max_bytes;
+
+    modes.forEach(m => {
+        const direction = m.mode.length > 1 ? m.mode[0] : '+';
+        const has_param = m.param !== null && typeof m.param !== 'undefined' && m.param !== '';
+        const append = l => ({
+            modes: l.modes + (l.direction === direction ? '' : direction) + m.mode[m.mode.length - 1],
+            direction: direction,
+            params: has_param ? l.params.concat(String(m.param)) : l.params,
+        });
+
+        if (line.modes && !fits(append(line))) {
+            lines.push(line);
+            line = { modes: '', direction: '', params: [] };
+        }
+
+        line = append(line);
+    });
+
+    if (line.modes) {
+        lines.push(line);
+    }
+
+    return lines.map(toRaw);
+}
+
+function messageTagsEnabled(network) {
+    return network.cap.isEnabled('message-tags') || network.cap.isEnabled('draft/message-tags-0.2');
+}
+
+// Messages sent to us directly are replied to in a query with the sender
+function replyTarget(client, event) {
+    return event.target && client.network.isChannelName(event.target) ?
+        event.target :
+        event.nick;
+}
+
+// Split the arguments of whois(target, arg1, argN, cb_or_options) style methods
+function parseQueryArgs(command, args) {
+    const parsed = { irc_args: [command], cb: null, options: null };
+
+    _.each(args, function(arg) {
+        if (typeof arg === 'function') {
+            parsed.cb = arg;
+        } else if (arg && typeof arg === 'object') {
+            parsed.options = arg;
+        } else {
+            parsed.irc_args.push(arg);
+        }
+    });
+
+    return parsed;
+}
+
+// 'irc error' events that end a query on a channel
+function channelQueryErrors(network, channel) {
+    const errors = ['no_such_channel', 'not_on_channel', 'chanop_privs_needed'];
+    return event => errors.indexOf(event.error) > -1 && network.isSameTarget(event.channel, channel);
+}
+
+/**
+ * A query that is sent and then waits for its reply event, or for an 'irc error'
+ * event matched by opts.errors if fail is given. Used with runQuery()
+ */
+function replyQuery(client, opts) {
+    return function startQuery(done, fail) {
+        const onReply = (event) => {
+            if (opts.matches(event)) {
+                stop();
+                done(event);
+            }
+        };
+
+        const onError = (event) => {
+            if (opts.errors && opts.errors(event)) {
+                stop();
+                fail(new Errors.ReplyError(event));
+            }
+        };
+
+        const stop = () => {
+            client.removeListener(opts.event, onReply);
+            client.removeListener('irc error', onError);
+        };
+
+        client.on(opts.event, onReply);
+        if (fail) {
+            client.on('irc error', onError);
+        }
+        opts.send();
+
+        return stop;
+    };
+}
+
+/**
+ * Run a query started by start(done, fail), which returns a function to stop it.
+ *
+ * With a callback, cb(event) is called with the reply. Error replies are only watched
+ * for if cb_error is given, so that queries such as a WHOIS for an unknown nick still
+ * call cb with their reply event. Otherwise a promise is returned that resolves with the reply
+ * or rejects with an Errors.ReplyError, after options.timeout ms, when
+ * options.signal is aborted or when the connection closes.
+ */
+function runQuery(client, cb, options, start, cb_error) {
+    if (typeof cb === 'function') {
+        start(cb, cb_error || null);
+        return;
+    }
+
+    options = _.extend({ timeout: QUERY_TIMEOUT }, options);
+    const signal = options.signal;
+
+    const promise = new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Errors.AbortError());
+            return;
+        }
+
+        let settled = false;
+        let timer = null;
+        let stop = null;
+
+        const settle = (err, event) => {
+            if (settled) {
+                return;
+            }
+
+            settled = true;
+            clearTimeout(timer);
+            client.removeListener('socket close', onClose);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (stop) {
+                stop();
+            }
+
+            if (err) {
+                reject(err);
+            } else if (event && event.error) {
+                // Replies such as a WHOIS for an unknown nick still end with a reply event
+                reject(new Errors.ReplyError(event));
+            } else {
+                resolve(event);
+            }
+        };
+
+        const onClose = () => settle(new Errors.DisconnectedError());
+        const onAbort = () => settle(new Errors.AbortError());
+
+        client.on('socket close', onClose);
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        if (options.timeout > 0) {
+            timer = setTimeout(() => {
+                settle(new Errors.TimeoutError('Timed out waiting for a reply'));
+            }, options.timeout);
+        }
+
+        stop = start(event => settle(null, event), err => settle(err));
+    });
+
+    // Queries have always been fire and forget with their replies also emitted as
+    // events, so a rejection nobody is waiting on is not treated as unhandled
+    promise.catch(() => {});
+
+    return promise;
+}
+
+/**
+ * The most bytes of message text that can be sent to a target. Servers relay messages
+ * with our :nick!ident@host prefix, so that has to fit within the line as well as the
+ * command and target. Until we know our host it is assumed to be as long as HOSTLEN allows.
+ * The message_max_length option sets a fixed length instead
+ */
+function maxMessageBytes(client, command_name, target) {
+    if (client.options.message_max_length) {
+        return client.options.message_max_length;
+    }
+
+    const network = client.network;
+    const host_bytes = client.user.host ?
+        encodeUTF8(client.user.host).byteLength :
+        network.limit('HOSTLEN') || DEFAULT_HOSTLEN;
+    const prefix = ':' + client.user.nick + '!' + (client.user.username || '') + '@';
+    const command = ' ' + command_name + ' ' + target + ' :';
+
+    // The line length includes the trailing \r\n
+    const bytes = network.lineLength() - 2 -
+        encodeUTF8(prefix + command).byteLength - host_bytes -
+        MESSAGE_SAFETY_MARGIN;
+
+    return Math.max(1, bytes);
+}
+
+// The limits advertised with draft/multiline, or null if it is not enabled
+function getMultilineLimits(network) {
+    if (!network.cap.isEnabled('draft/multiline')) {
+        return null;
+    }
+
+    const limits = { max_bytes: 0, max_lines: 0 };
+    (network.cap.value('draft/multiline') || '').split(',').forEach(token => {
+        const [key, val] = token.split('=');
+        if (key === 'max-bytes') {
+            limits.max_bytes = parseInt(val, 10) || 0;
+        } else if (key === 'max-lines') {
+            limits.max_lines = parseInt(val, 10) || 0;
+        }
+    });
+
+    return limits;
+}
+
+// Split multiline blocks into groups that fit the multiline limits, one batch each. When
+// a batch fills up part way through a line being continued with multiline-concat, the
+// next batch starts from the beginning of that line so it isn't broken in two
+function groupMultilineBlocks(blocks, limits) {
+    const groups = [];
+    let group = [];
+
+    const fits = lines => {
+        const bytes = lines.reduce((total, line, idx) => {
+            // Lines that are not concatenated are joined with a newline
+            const separator = idx > 0 && !line.concat ? 1 : 0;
+            return total + separator + encodeUTF8(line.text).byteLength;
+        }, 0);
+
+        return (!limits.max_lines || lines.length <= limits.max_lines) &&
+            (!limits.max_bytes || bytes <= limits.max_bytes);
+    };
+
+    const startGroup = lines => {
+        if (group.length) {
+            groups.push(group);
+        }
+
+        // A batch may not start with a blank line
+        group = _.dropWhile(lines, line => !line.text);
+    };
+
+    blocks.forEach(block => {
+        if (!group.length) {
+            startGroup([block]);
+        } else if (fits(group.concat(block))) {
+            group.push(block);
+        } else {
+            const line_start = block.concat ? _.findLastIndex(group, line => !line.concat) : -1;
+            if (line_start > 0 && fits(group.slice(line_start).concat(block))) {
+                startGroup(group.splice(line_start).concat(block));
+            } else {
+                startGroup([block]);
+            }
+        }
+    });
+
+    if (group.length) {
+        groups.push(group);
+    }
+
+    return groups;
+}
+
+function generateNick(generator, nick, attempt, max_length) {
+    let suffix;
+
+    if (typeof generator === 'function') {
+        return generator(nick, attempt) || null;
+    } else if (generator === 'underscore') {
+        suffix = '_'.repeat(attempt);
+    } else if (generator === 'digits') {
+        suffix = String(attempt);
+    } else {
+        return null;
+    }
+
+    if (max_length && nick.length + suffix.length > max_length) {
+        if (suffix.length >= max_length) {
+            return null;
+        }
+        nick = nick.substr(0, max_length - suffix.length);
+    }
+
+    return nick + suffix;
+}
@@ -0,0 +1,336 @@
+'use strict';
+
+const _ = {
+    find: require('lodash/find'),
+    findIndex: require('lodash/findIndex'),
+};
+const EventEmitter = require('eventemitter3');
+const Masks = require('./masks');
+
+/**
+ * Bot commands such as "!weather london" or "botnick: weather london"
+ *
+ * Usage:
+ *   const commands = new CommandRouter({ prefixes: ['!'] });
+ *   commands.command('hello', { description: 'Say hello' }, ctx => ctx.reply('Hello ' + ctx.event.nick));
+ *   client.use(commands.middleware());
+ *
+ * Emits 'command denied' when a command is refused because of its permissions or
+ * cooldown, and 'command error' when a command handler throws or rejects.
+ */
+module.exports = class CommandRouter extends EventEmitter {
+    constructor(options) {
+        super();
+
+        this.options = Object.assign({
+            prefixes: ['!'],
+            mention: true,
+            help: true,
+        }, options);
+
+        this.commands = new Command(null, '', {});
+
+        if (this.options.help) {
+            this.command('help', {
+                description: 'List the commands or show help for one',
+                usage: '[command]',
+            }, ctx => this.sendHelp(ctx));
+        }
+    }
+
+    /**
+     * Add a command. options may contain:
+     *   description  Shown in help
+     *   usage        The arguments, eg. '<city> [days]'
+     *   aliases      Other names for the command
+     *   cooldown     Seconds before each user may use it again
+     *   permission   Who may use it, see Command.isPermitted()
+     *   hidden       Leave it out of the help command list
+     * Returns the command so that subcommands may be added to it
+     */
+    command(name, options, handler) {
+        return this.commands.command(name, options, handler);
+    }
+
+    middleware() {
+        return (client, raw_events, parsed_events) => {
+            parsed_events.use((event_name, event, event_client, next) => {
+                next();
+
+                if (event_name === 'privmsg') {
+                    this.handleMessage(event_client, event);
+                }
+            });
+        };
+    }
+
+    /**
+     * The words of a command line if the message is addressed to us, or null if not
+     */
+    parseLine(client, event) {
+        const message = event.message || '';
+        const is_private = !client.network.isChannelName(event.target);
+
+        const prefix = _.find(this.options.prefixes, p => p && message.indexOf(p) === 0);
+        if (prefix) {
+            return message.substr(prefix.length);
+        }
+
+        if (this.options.mention) {
+            const nick = client.user.nick;
+            const mention = message.substr(0, nick.length);
+            const separator = message.substr(nick.length).match(/^[:,]?\s+/);
+            if (separator && client.network.isSameTarget(mention, nick)) {
+                return message.substr(nick.length + separator[0].length);
+            }
+        }
+
+        // Private messages don't need to be addressed to us
+        return is_private ? message : null;
+    }
+
+    handleMessage(client, event) {
+        if (client.network.isSameTarget(event.nick, client.user.nick)) {
+            return;
+        }
+
+        const line = this.parseLine(client, event);
+        const args = line === null ? [] : parseArgs(line);
+        if (!args.length) {
+            return;
+        }
+
+        // Find the deepest matching subcommand
+        let command = this.commands;
+        const path = [];
+        while (args.length && command.find(args[0])) {
+            command = command.find(args[0]);
+            path.push(command.name);
+            args.shift();
+        }
+
+        if (command === this.commands || !command.handler) {
+            return;
+        }
+
+        const ctx = {
+            client: client,
+            event: event,
+            command: command,
+            name: path.join(' '),
+            args: args,
+            reply: message => event.reply(message),
+        };
+
+        if (!command.isPermitted(client, event)) {
+            this.emit('command denied', { reason: 'permission', command: ctx.name, event: event });
+            return;
+        }
+        if (!command.useCooldown(client, event)) {
+            this.emit('command denied', { reason: 'cooldown', command: ctx.name, event: event });
+            return;
+        }
+
+        let result;
+        try {
+            result = command.handler(ctx);
+        } catch (err) {
+            this.emit('command error', { error: err, command: ctx.name, event: event });
+            return;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(null, err => {
+                this.emit('command error', { error: err, command: ctx.name, event: event });
+            });
+        }
+    }
+
+    sendHelp(ctx) {
+        let command = this.commands;
+        ctx.args.forEach(arg => {
+            command = command && command.find(arg);
+        });
+
+        if (!command) {
+            ctx.reply('Unknown command: ' + ctx.args.join(' '));
+            return;
+        }
+
+        const prefix = this.options.prefixes[0] || '';
+        const listed = command.subcommands
+            .filter(sub => !sub.options.hidden && sub.isPermitted(ctx.client, ctx.event))
+            .map(sub => sub.name);
+
+        if (command === this.commands) {
+            ctx.reply('Commands: ' + listed.join(', '));
+            return;
+        }
+
+        const usage = [prefix + command.fullName(), command.options.usage].filter(s => s).join(' ');
+        ctx.reply(usage + (command.options.description ? ' - ' + command.options.description : ''));
+        if (listed.length) {
+            ctx.reply('Subcommands: ' + listed.join(', '));
+        }
+    }
+};
+
+class Command {
+    constructor(parent, name, options, handler) {
+        this.parent = parent;
+        this.name = name;
+        this.options = options || {};
+        this.handler = handler || null;
+        this.subcommands = [];
+
+        // When each user last used the command
+        this.last_used = new Map();
+    }
+
+    command(name, options, handler) {
+        if (typeof options === 'function') {
+            handler = options;
+            options = {};
+        }
+
+        const command = new Command(this, name, options, handler);
+        this.subcommands.push(command);
+        return command;
+    }
+
+    find(name) {
+        name = name.toLowerCase();
+        return _.find(this.subcommands, sub => {
+            return sub.name.toLowerCase() === name ||
+                (sub.options.aliases || []).some(alias => alias.toLowerCase() === name);
+        }) || null;
+    }
+
+    fullName() {
+        return this.parent && this.parent.name ?
+            this.parent.fullName() + ' ' + this.name :
+            this.name;
+    }
+
+    /**
+     * options.permission may be a function(client, event) returning true to allow, or
+     * an object allowing any of:
+     *   accounts   Account names, from the account message tag
+     *   hostmasks  Masks such as '*!*@trusted.host'
+     *   rank       The lowest channel prefix mode allowed, eg. 'h' allows halfops and up.
+     *              Requires the enable_state_tracking option
+     * Subcommands also need the permission of their parent commands
+     */
+    isPermitted(client, event) {
+        if (this.parent && !this.parent.isPermitted(client, event)) {
+            return false;
+        }
+
+        const permission = this.options.permission;
+        if (!permission) {
+            return true;
+        }
+        if (typeof permission === 'function') {
+            return !!permission(client, event);
+        }
+
+        const account = eventAccount(event);
+        if (account && (permission.accounts || []).some(a => client.network.isSameTarget(a, account))) {
+            return true;
+        }
+
+        if ((permission.hostmasks || []).some(mask => Masks.match(mask, event, client.network))) {
+            return true;
+        }
+
+        return !!permission.rank && hasRank(client, event, permission.rank);
+    }
+
+    // Record a use of the command, or return false if the user is still cooling down
+    useCooldown(client, event) {
+        const cooldown = (this.options.cooldown || 0) * 1000;
+        if (!cooldown) {
+            return true;
+        }
+
+        const now = Date.now();
+        const key = client.network.caseFold(eventAccount(event) || event.nick);
+        if (this.last_used.has(key) && now - this.last_used.get(key) < cooldown) {
+            return false;
+        }
+
+        // Forget users whose cooldowns have expired so the map doesn't grow forever
+        this.last_used.forEach((used, user) => {
+            if (now - used >= cooldown) {
+                this.last_used.delete(user);
+            }
+        });
+
+        this.last_used.set(key, now);
+        return true;
+    }
+}
+
+function eventAccount(event) {
+    return event.account || (event.tags && event.tags.account) || '';
+}
+
+// If the user has at least a channel prefix rank, eg. 'o', in the channel a message was sent to
+function hasRank(client, event, rank) {
+    const prefixes = client.network.options.PREFIX || [];
+    const required = _.findIndex(prefixes, { mode: rank });
+    const channel = client.channels && client.channels.get(event.target);
+    const member = channel && channel.members.get(event.nick);
+    if (required === -1 || !member) {
+        return false;
+    }
+
+    return member.modes.some(mode => {
+        const idx = _.findIndex(prefixes, { mode: mode });
+        return idx > -1 && idx <= required;
+    });
+}
+
+/**
+ * Split a command line into words. Words may be "quoted" or 'quoted' to include spaces,
+ * and \ escapes the next character
+ */
+function parseArgs(line) {
+    const args = [];
+    let current = '';
+    let in_word = false;
+    let quote = '';
+
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+
+        if (c === '\\' && i + 1 < line.length) {
+            current += line[++i];
+            in_word = true;
+        } else if (quote) {
+            if (c === quote) {
+                quote = '';
+            } else {
+                current += c;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+            in_word = true;
+        } else if (/\s/.test(c)) {
+            if (in_word) {
+                args.push(current);
+                current = '';
+                in_word = false;
+            }
+        } else {
+            current += c;
+            in_word = true;
+        }
+    }
+
+    if (in_word) {
+        args.push(current);
+    }
+
+    return args;
+}
@@ -8,6 +8,8 @@ const _ = {
 const EventEmitter = require('eventemitter3');
 const irc_numerics = require('./numerics');
 const IrcCommand = require('./command');
+const Helpers = require('../helpers');
+const { StandardReplyError, TimeoutError } = require('../errors');
 
 module.exports = class IrcCommandHandler extends EventEmitter {
     constructor(connection, network_info) {
@@ -22,6 +24,9 @@ module.exports = class IrcCommandHandler extends EventEmitter {
 
         this.request_extra_caps = [];
 
+        // Commands sent with a label tag waiting for their replies
+        this.labels = Object.create(null);
+
         this.resetCache();
 
         require('./handlers/registration')(this);
@@ -30,6 +35,19 @@ module.exports = class IrcCommandHandler extends EventEmitter {
         require('./handlers/messaging')(this);
         require('./handlers/misc')(this);
         require('./handlers/generics')(this);
+
+        this.on('batch end', (event) => {
+            if (!event.tags || !event.tags.label) {
+                return;
+            }
+
+            const fail = _.find(event.commands, { command: 'FAIL' });
+            if (fail) {
+                this.rejectLabel(event.tags.label, standardReplyError(fail));
+            } else {
+                this.resolveLabel(event.tags.label, event.commands);
+            }
+        });
     }
 
     dispatch(message) {
@@ -50,6 +68,15 @@ module.exports = class IrcCommandHandler extends EventEmitter {
         } else {
             this.executeCommand(irc_command);
         }
+
+        // Labeled replies made up of multiple messages come in a BATCH, which is resolved
+        // once the batch ends. Any other labeled message is the whole reply
+        const label = irc_command.getTag('label');
+        if (label && !batch_id && irc_command.command === 'FAIL') {
+            this.rejectLabel(label, standardReplyError(irc_command));
+        } else if (label && !batch_id && irc_command.command !== 'BATCH') {
+            this.resolveLabel(label, irc_command.command === 'ACK' ? [] : [irc_command]);
+        }
     }
 
     executeCommand(irc_command) {
@@ -67,6 +94,46 @@ module.exports = class IrcCommandHandler extends EventEmitter {
         }
     }
 
+    /**
+     * Wait for the replies to a command sent with a label tag.
+     * cb(err, commands) is called with the reply commands, or an error after timeout ms
+     */
+    awaitLabel(label, timeout, cb) {
+        const timer = setTimeout(() => {
+            const err = new TimeoutError('Timed out waiting for a reply to label ' + label);
+            err.label = label;
+            this.rejectLabel(label, err);
+        }, timeout);
+
+        this.labels[label] = { cb: cb, timer: timer };
+    }
+
+    resolveLabel(label, commands) {
+        const pending = this.labels[label];
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        delete this.labels[label];
+        pending.cb(null, commands);
+    }
+
+    rejectLabel(label, err) {
+        const pending = this.labels[label];
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        delete this.labels[label];
+        pending.cb(err);
+    }
+
+    rejectAllLabels(err) {
+        Object.keys(this.labels).forEach(label => this.rejectLabel(label, err));
+    }
+
     requestExtraCaps(cap) {
         this.request_extra_caps = _.uniq(this.request_extra_caps.concat(cap));
     }
@@ -192,3 +259,7 @@ module.exports = class IrcCommandHandler extends EventEmitter {
         this._caches = Object.create(null);
     }
 };
+
+function standardReplyError(irc_command) {
+    return new StandardReplyError(Helpers.parseStandardReply(irc_command));
+}
@@ -43,7 +43,7 @@ const handlers = {
 
     RPL_NAMEREPLY: function(command, handler) {
         const members = command.params[command.params.length - 1].split(' ');
-        const cache = handler.cache('names.' + command.params[2]);
+        const cache = handler.cache('names.' + handler.network.caseFold(command.params[2]));
 
         if (!cache.members) {
             cache.members = [];
@@ -81,7 +81,7 @@ const handlers = {
     },
 
     RPL_ENDOFNAMES: function(command, handler) {
-        const cache = handler.cache('names.' + command.params[1]);
+        const cache = handler.cache('names.' + handler.network.caseFold(command.params[1]));
         handler.emit('userlist', {
             channel: command.params[1],
             users: cache.members || []
@@ -90,7 +90,7 @@ const handlers = {
     },
 
     RPL_INVITELIST: function(command, handler) {
-        const cache = handler.cache('inviteList.' + command.params[1]);
+        const cache = handler.cache('inviteList.' + handler.network.caseFold(command.params[1]));
         if (!cache.invites) {
             cache.invites = [];
         }
@@ -105,7 +105,7 @@ const handlers = {
     },
 
     RPL_ENDOFINVITELIST: function(command, handler) {
-        const cache = handler.cache('inviteList.' + command.params[1]);
+        const cache = handler.cache('inviteList.' + handler.network.caseFold(command.params[1]));
         handler.emit('inviteList', {
             channel: command.params[1],
             invites: cache.invites || []
@@ -114,8 +114,33 @@ const handlers = {
         cache.destroy();
     },
 
+    RPL_EXCEPTLIST: function(command, handler) {
+        const cache = handler.cache('exceptlist.' + handler.network.caseFold(command.params[1]));
+        if (!cache.exceptions) {
+            cache.exceptions = [];
+        }
+
+        cache.exceptions.push({
+            channel: command.params[1],
+            exception: command.params[2],
+            set_by: command.params[3],
+            set_at: command.params[4],
+            tags: command.tags
+        });
+    },
+
+    RPL_ENDOFEXCEPTLIST: function(command, handler) {
+        const cache = handler.cache('exceptlist.' + handler.network.caseFold(command.params[1]));
+        handler.emit('exceptlist', {
+            channel: command.params[1],
+            exceptions: cache.exceptions || []
+        });
+
+        cache.destroy();
+    },
+
     RPL_BANLIST: function(command, handler) {
-        const cache = handler.cache('banlist.' + command.params[1]);
+        const cache = handler.cache('banlist.' + handler.network.caseFold(command.params[1]));
         if (!cache.bans) {
             cache.bans = [];
         }
@@ -130,7 +155,7 @@ const handlers = {
     },
 
     RPL_ENDOFBANLIST: function(command, handler) {
-        const cache = handler.cache('banlist.' + command.params[1]);
+        const cache = handler.cache('banlist.' + handler.network.caseFold(command.params[1]));
         handler.emit('banlist', {
             channel: command.params[1],
             bans: cache.bans || []
@@ -36,6 +36,13 @@ const generics = {
         reason: -1
     },
 
+    ERR_NOSUCHCHANNEL: {
+        event: 'irc error',
+        error: 'no_such_channel',
+        channel: 1,
+        reason: -1
+    },
+
     ERR_CANNOTSENDTOCHAN: {
         event: 'irc error',
         error: 'cannot_send_to_channel',
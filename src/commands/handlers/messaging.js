@@ -4,7 +4,6 @@ const _ = {
     each: require('lodash/each'),
     find: require('lodash/find'),
 };
-const util = require('util');
 
 const handlers = {
     NOTICE: function(command, handler) {
@@ -42,7 +41,9 @@ const handlers = {
                 message: message,
                 tags: command.tags,
                 time: time,
-                account: command.getTag('account')
+                account: command.getTag('account'),
+                reply_to: command.getTag('+draft/reply'),
+                reaction: command.getTag('+draft/react')
             });
         }
     },
@@ -75,14 +76,8 @@ const handlers = {
                     time: time,
                     account: command.getTag('account')
                 });
-            } else if (ctcp_command === 'VERSION' && handler.connection.options.version) {
-                handler.connection.write(util.format(
-                    'NOTICE %s :\x01VERSION %s\x01',
-                    command.nick,
-                    handler.connection.options.version
-                ));
             } else {
-                handler.emit('ctcp request', {
+                const event = {
                     from_server: !command.nick,
                     nick: command.nick,
                     ident: command.ident,
@@ -94,7 +89,12 @@ const handlers = {
                     time: time,
                     account: command.getTag('account'),
                     tags: command.tags
-                });
+                };
+
+                // Requests answered by a CTCP responder are not passed on
+                if (!handler.ctcp || !handler.ctcp.respond(event)) {
+                    handler.emit('ctcp request', event);
+                }
             }
         } else {
             handler.emit('privmsg', {
@@ -107,7 +107,9 @@ const handlers = {
                 message: message,
                 tags: command.tags,
                 time: time,
-                account: command.getTag('account')
+                account: command.getTag('account'),
+                reply_to: command.getTag('+draft/reply'),
+                reaction: command.getTag('+draft/react')
             });
         }
     },
@@ -121,7 +123,9 @@ const handlers = {
             hostname: command.hostname,
             target: target,
             tags: command.tags,
-            time: time
+            time: time,
+            reply_to: command.getTag('+draft/reply'),
+            reaction: command.getTag('+draft/react')
         });
     },
 
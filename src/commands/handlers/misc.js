@@ -4,7 +4,10 @@ const _ = {
     each: require('lodash/each'),
     clone: require('lodash/clone'),
     map: require('lodash/map'),
+    extend: require('lodash/extend'),
 };
+const IrcCommand = require('../command');
+const Helpers = require('../../helpers');
 
 const handlers = {
     RPL_LISTSTART: function(command, handler) {
@@ -50,6 +53,8 @@ const handlers = {
     },
 
     RPL_ENDOFMOTD: function(command, handler) {
+        handler.network.options_received = true;
+
         const cache = handler.cache('motd');
         handler.emit('motd', {
             motd: cache.motd,
@@ -59,6 +64,8 @@ const handlers = {
     },
 
     ERR_NOMOTD: function(command, handler) {
+        handler.network.options_received = true;
+
         const params = _.clone(command.params);
         params.shift();
         handler.emit('motd', {
@@ -212,6 +219,18 @@ const handlers = {
         cache.destroy();
     },
 
+    FAIL: function(command, handler) {
+        handler.emit('fail', standardReplyEvent(command));
+    },
+
+    WARN: function(command, handler) {
+        handler.emit('warn', standardReplyEvent(command));
+    },
+
+    NOTE: function(command, handler) {
+        handler.emit('note', standardReplyEvent(command));
+    },
+
     BATCH: function(command, handler) {
         const batch_start = command.params[0].substr(0, 1) === '+';
         const batch_id = command.params[0].substr(1);
@@ -226,6 +245,7 @@ const handlers = {
             cache.commands = [];
             cache.type = command.params[1];
             cache.params = command.params.slice(2);
+            cache.tags = command.tags;
 
             return;
         }
@@ -242,7 +262,8 @@ const handlers = {
             id: batch_id,
             type: cache.type,
             params: cache.params,
-            commands: cache.commands
+            commands: cache.commands,
+            tags: cache.tags
         };
 
         // Destroy the cache object before executing each command. If one
@@ -251,12 +272,64 @@ const handlers = {
 
         handler.emit('batch start', emit_obj);
         handler.emit('batch start ' + emit_obj.type, emit_obj);
-        emit_obj.commands.forEach(c => handler.executeCommand(c));
+        if (emit_obj.type === 'draft/multiline') {
+            const merged = mergeMultilineBatch(emit_obj);
+            if (merged) {
+                handler.executeCommand(merged);
+            }
+        } else {
+            emit_obj.commands.forEach(c => handler.executeCommand(c));
+        }
         handler.emit('batch end', emit_obj);
         handler.emit('batch end ' + emit_obj.type, emit_obj);
     }
 };
 
+function standardReplyEvent(command) {
+    const reply = Helpers.parseStandardReply(command);
+
+    return {
+        command: reply.command,
+        code: reply.code,
+        context: reply.context,
+        description: reply.description,
+        from_server: !command.nick,
+        nick: command.nick,
+        tags: reply.tags,
+        time: command.getServerTime(),
+    };
+}
+
+// Merge the lines of a draft/multiline batch into a single PRIVMSG or NOTICE. Lines are
+// joined with newlines, except for lines tagged draft/multiline-concat which continue
+// the previous line
+function mergeMultilineBatch(batch) {
+    const lines = batch.commands.filter(c => c.command === 'PRIVMSG' || c.command === 'NOTICE');
+    if (!lines.length) {
+        return null;
+    }
+
+    const message = lines.reduce((str, line, idx) => {
+        const is_concat = line.getTag('draft/multiline-concat') !== undefined;
+        return str + (idx > 0 && !is_concat ? '\n' : '') + (line.params[1] || '');
+    }, '');
+
+    const first = lines[0];
+    const merged = new IrcCommand(first.command, {
+        params: [batch.params[0] || first.params[0], message],
+        tags: _.extend({}, batch.tags, first.tags),
+        prefix: first.prefix,
+        nick: first.nick,
+        ident: first.ident,
+        hostname: first.hostname,
+    });
+
+    delete merged.tags.batch;
+    delete merged.tags['draft/multiline-concat'];
+
+    return merged;
+}
+
 module.exports = function AddCommandHandlers(command_controller) {
     _.each(handlers, function(handler, handler_command) {
         command_controller.addHandler(handler_command, handler);
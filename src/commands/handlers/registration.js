@@ -1,14 +1,27 @@
 'use strict';
 
 const Helpers = require('../../helpers');
+const Scram = require('../../scram');
+const Sts = require('../../sts');
 
 const _ = {
     intersection: require('lodash/intersection'),
     difference: require('lodash/difference'),
     each: require('lodash/each'),
     uniq: require('lodash/uniq'),
+    defer: require('lodash/defer'),
+    extend: require('lodash/extend'),
+    cloneDeep: require('lodash/cloneDeep'),
+    isEqual: require('lodash/isEqual'),
 };
 
+// ISUPPORT tokens with a numeric value. Without a value they are left as true
+const NUMERIC_ISUPPORT = [
+    'AWAYLEN', 'CHANNELLEN', 'CHATHISTORY', 'HOSTLEN', 'KEYLEN', 'KICKLEN', 'LINELEN',
+    'MAXBANS', 'MAXCHANNELS', 'MAXNICKLEN', 'MAXTARGETS', 'MODES', 'MONITOR', 'NICKLEN',
+    'SILENCE', 'TOPICLEN', 'USERLEN', 'WATCH',
+];
+
 const handlers = {
     RPL_WELCOME: function(command, handler) {
         const nick = command.params[0];
@@ -17,6 +30,7 @@ const handlers = {
         handler.network.server = command.prefix;
 
         handler.network.cap.negotiating = false;
+        handler.network.options_received = false;
 
         // We can't use the time given here as ZNC actually replays the time when it first connects
         // to an IRC server, not now(). Send a PING so that we can get a reliable time from PONG
@@ -43,74 +57,92 @@ const handlers = {
     },
 
     RPL_ISUPPORT: function(command, handler) {
-        const options = command.params;
-        let i;
-        let option;
-        let matches;
-        let j;
-
-        for (i = 1; i < options.length; i++) {
-            option = Helpers.splitOnce(options[i], '=');
-            option[0] = option[0].toUpperCase();
-
-            handler.network.options[option[0]] = (typeof option[1] !== 'undefined') ? option[1] : true;
-
-            if (option[0] === 'PREFIX') {
-                matches = /\(([^)]*)\)(.*)/.exec(option[1]);
-                if (matches && matches.length === 3) {
-                    handler.network.options.PREFIX = [];
-                    for (j = 0; j < matches[2].length; j++) {
-                        handler.network.options.PREFIX.push({
-                            symbol: matches[2].charAt(j),
-                            mode: matches[1].charAt(j)
-                        });
-                    }
+        const network = handler.network;
+        const before = _.cloneDeep(network.options);
+
+        // The last param is the human readable 'are supported by this server'
+        command.params.slice(1).forEach(function(token) {
+            if (!token || token.indexOf(' ') > -1) {
+                return;
+            }
+
+            // -PARAM removes a previously advertised token
+            if (token[0] === '-') {
+                const removed = token.substr(1).toUpperCase();
+                delete network.options[removed];
+                if (removed === 'PREFIX') {
+                    // Fall back to the default of (ov)@+
+                    network.options.PREFIX = parseISupportValue('PREFIX', '(ov)@+');
                 }
-            } else if (option[0] === 'CHANTYPES') {
-                handler.network.options.CHANTYPES = handler.network.options.CHANTYPES.split('');
-            } else if (option[0] === 'STATUSMSG') {
-                handler.network.options.STATUSMSG = handler.network.options.STATUSMSG.split('');
-            } else if (option[0] === 'CHANMODES') {
-                handler.network.options.CHANMODES = option[1].split(',');
-            } else if (option[0] === 'NETWORK') {
-                handler.network.name = option[1];
-            } else if (option[0] === 'NAMESX' && !handler.network.cap.isEnabled('multi-prefix')) {
+                return;
+            }
+
+            const option = Helpers.splitOnce(token, '=');
+            const name = option[0].toUpperCase();
+            const value = typeof option[1] !== 'undefined' ?
+                unescapeISupportValue(option[1]) :
+                true;
+
+            network.options[name] = parseISupportValue(name, value);
+
+            if (name === 'NETWORK') {
+                network.name = value;
+            } else if (name === 'NAMESX' && !network.cap.isEnabled('multi-prefix')) {
                 // Tell the server to send us all user modes in NAMES reply, not just
                 // the highest one
                 handler.connection.write('PROTOCTL NAMESX');
             }
-        }
+        });
 
         handler.emit('server options', {
-            options: handler.network.options,
-            cap: handler.network.cap.enabled,
+            options: network.options,
+            cap: network.cap.enabled,
             tags: command.tags
         });
+
+        // Servers may change their options at any time, eg. after a rehash. Options sent
+        // while registering are what we start with, not changes
+        if (network.options_received) {
+            const diff = diffOptions(before, network.options);
+            if (diff.added.length || diff.removed.length || diff.changed.length) {
+                handler.emit('server options changed', _.extend(diff, {
+                    options: network.options,
+                    tags: command.tags
+                }));
+            }
+        }
     },
 
     CAP: function(command, handler) {
         let request_caps = [];
         const capability_values = Object.create(null);
+        const capabilities = [];
+        const disabled_capabilities = [];
 
-        // TODO: capability modifiers
-        // i.e. - for disable, ~ for requires ACK, = for sticky
-        const capabilities = command.params[command.params.length - 1]
-            .replace(/(?:^| )[-~=]/, '')
-            .split(' ')
-            .map(function(cap) {
-                // CAPs in 3.2 may be in the form of CAP=VAL. So seperate those out
-                const sep = cap.indexOf('=');
-                if (sep === -1) {
-                    capability_values[cap] = '';
-                    return cap;
-                }
+        command.params[command.params.length - 1].split(' ').forEach(function(cap) {
+            if (!cap) {
+                return;
+            }
 
-                const cap_name = cap.substr(0, sep);
-                const cap_value = cap.substr(sep + 1);
+            // Capabilities may have a modifier. - for disable, ~ for requires ACK, = for sticky.
+            // Since CAP 3.2 only - is still in use, the others are treated as a plain capability
+            const modifier = '-~='.indexOf(cap[0]) > -1 ? cap[0] : '';
+            if (modifier) {
+                cap = cap.substr(1);
+            }
 
-                capability_values[cap_name] = cap_value;
-                return cap_name;
-            });
+            // CAPs in 3.2 may be in the form of CAP=VAL. So seperate those out
+            const sep = cap.indexOf('=');
+            const cap_name = sep === -1 ? cap : cap.substr(0, sep);
+            const cap_value = sep === -1 ? '' : cap.substr(sep + 1);
+
+            capability_values[cap_name] = cap_value;
+            if (modifier === '-') {
+                disabled_capabilities.push(cap_name);
+            } else {
+                capabilities.push(cap_name);
+            }
+        });
 
         // Which capabilities we want to enable
         let want = [
@@ -126,13 +158,15 @@ const handlers = {
             'server-time',
             'userhost-in-names',
             'extended-join',
+            'labeled-response',
+            'draft/multiline',
             'znc.in/server-time-iso',
             'znc.in/server-time'
         ];
 
         // Optional CAPs depending on settings
         const saslAuth = getSaslAuth(handler);
-        if (saslAuth || handler.connection.options.sasl_mechanism === 'EXTERNAL') {
+        if (saslAuth || getSaslMechanisms(handler).indexOf('EXTERNAL') > -1) {
             want.push('sasl');
         }
         if (handler.connection.options.enable_chghost) {
@@ -147,8 +181,19 @@ const handlers = {
 
         want = _.uniq(want.concat(handler.request_extra_caps));
 
+        if (
+            (command.params[1] === 'LS' || command.params[1] === 'NEW') &&
+            typeof capability_values.sts === 'string'
+        ) {
+            handleStsPolicy(handler, capability_values.sts);
+        }
+
         switch (command.params[1]) {
         case 'LS':
+            _.each(capabilities, function(cap) {
+                handler.network.cap.available[cap] = capability_values[cap];
+            });
+
             // Compute which of the available capabilities we want and request them
             request_caps = _.intersection(capabilities, want);
             if (request_caps.length > 0) {
@@ -156,8 +201,9 @@ const handlers = {
             }
 
             // CAP 3.2 multline support. Only send our CAP requests on the last CAP LS
-            // line which will not have * set for params[2]
-            if (command.params[2] !== '*') {
+            // line which will not have * set for params[2]. There's no point negotiating
+            // if we're about to reconnect with TLS
+            if (command.params[2] !== '*' && !handler.cache('sts').upgrading) {
                 if (handler.network.cap.requested.length > 0) {
                     handler.network.cap.negotiating = true;
                     handler.connection.write('CAP REQ :' + handler.network.cap.requested.join(' '));
@@ -168,22 +214,33 @@ const handlers = {
             }
             break;
         case 'ACK':
-            if (capabilities.length > 0) {
+            if (capabilities.length > 0 || disabled_capabilities.length > 0) {
                 // Update list of enabled capabilities
-                handler.network.cap.enabled = _.uniq(handler.network.cap.enabled.concat(capabilities));
+                handler.network.cap.enabled = _.difference(
+                    _.uniq(handler.network.cap.enabled.concat(capabilities)),
+                    disabled_capabilities
+                );
 
                 // Update list of capabilities we would like to have but that aren't enabled
                 handler.network.cap.requested = _.difference(
                     handler.network.cap.requested,
-                    capabilities
+                    capabilities.concat(disabled_capabilities)
                 );
             }
             if (handler.network.cap.negotiating) {
                 if (handler.network.cap.isEnabled('sasl')) {
-                    if (typeof handler.connection.options.sasl_mechanism === 'string') {
-                        handler.connection.write('AUTHENTICATE ' + handler.connection.options.sasl_mechanism);
-                    } else {
-                        handler.connection.write('AUTHENTICATE PLAIN');
+                    const sasl = handler.cache('sasl');
+                    if (!sasl.remaining) {
+                        // CAP 3.2 lists the available SASL mechanisms as sasl=PLAIN,EXTERNAL,...
+                        const sasl_value = handler.network.cap.value('sasl');
+                        if (!sasl.mechanisms && sasl_value) {
+                            sasl.mechanisms = sasl_value.toUpperCase().split(',');
+                        }
+
+                        sasl.remaining = getSaslMechanisms(handler).filter(function(mechanism) {
+                            return !sasl.mechanisms || sasl.mechanisms.indexOf(mechanism) > -1;
+                        });
+                        startNextSaslMechanism(handler);
                     }
                 } else if (handler.network.cap.requested.length === 0) {
                     // If all of our requested CAPs have been handled, end CAP negotiation
@@ -193,10 +250,10 @@ const handlers = {
             }
             break;
         case 'NAK':
-            if (capabilities.length > 0) {
+            if (capabilities.length > 0 || disabled_capabilities.length > 0) {
                 handler.network.cap.requested = _.difference(
                     handler.network.cap.requested,
-                    capabilities
+                    capabilities.concat(disabled_capabilities)
                 );
             }
 
@@ -214,6 +271,8 @@ const handlers = {
             request_caps = [];
             for (let i = 0; i < capabilities.length; i++) {
                 const cap = capabilities[i];
+                handler.network.cap.available[cap] = capability_values[cap];
+
                 if (
                     want.indexOf(cap) > -1 &&
                         request_caps.indexOf(cap) === -1 &&
@@ -224,7 +283,9 @@ const handlers = {
                 }
             }
 
-            handler.connection.write('CAP REQ :' + request_caps.join(' '));
+            if (request_caps.length > 0) {
+                handler.connection.write('CAP REQ :' + request_caps.join(' '));
+            }
             break;
         case 'DEL':
             // Update list of enabled capabilities
@@ -232,6 +293,9 @@ const handlers = {
                 handler.network.cap.enabled,
                 capabilities
             );
+            _.each(capabilities, function(cap) {
+                delete handler.network.cap.available[cap];
+            });
             break;
         }
 
@@ -242,7 +306,30 @@ const handlers = {
     },
 
     AUTHENTICATE: function(command, handler) {
-        if (command.params[0] !== '+') {
+        const sasl = handler.cache('sasl');
+        const payload = command.params[0] || '';
+
+        // Payloads of 400 bytes or more are split over multiple AUTHENTICATE lines with
+        // the final chunk being shorter than 400 bytes, or '+' if there is nothing left
+        if (payload !== '+') {
+            sasl.buffer = (sasl.buffer || '') + payload;
+            if (payload.length === 400) {
+                return;
+            }
+        }
+
+        const challenge = sasl.buffer ?
+            Buffer.from(sasl.buffer, 'base64').toString('utf8') :
+            '';
+        sasl.buffer = '';
+
+        const mechanism = sasl.mechanism || getSaslMechanisms(handler)[0];
+        if (Scram.mechanismHash(mechanism)) {
+            authenticateScram(handler, mechanism, challenge);
+            return;
+        }
+
+        if (challenge) {
             if (handler.network.cap.negotiating) {
                 handler.connection.write('CAP END');
                 handler.network.cap.negotiating = false;
@@ -252,7 +339,7 @@ const handlers = {
         }
 
         // Send blank authenticate for EXTERNAL mechanism
-        if (handler.connection.options.sasl_mechanism === 'EXTERNAL') {
+        if (mechanism === 'EXTERNAL') {
             handler.connection.write('AUTHENTICATE +');
             return;
         }
@@ -261,18 +348,8 @@ const handlers = {
         const auth_str = saslAuth.account + '\0' +
             saslAuth.account + '\0' +
             saslAuth.password;
-        const b = Buffer.from(auth_str, 'utf8');
-        let b64 = b.toString('base64');
 
-        while (b64.length >= 400) {
-            handler.connection.write('AUTHENTICATE ' + b64.slice(0, 399));
-            b64 = b64.slice(399);
-        }
-        if (b64.length > 0) {
-            handler.connection.write('AUTHENTICATE ' + b64);
-        } else {
-            handler.connection.write('AUTHENTICATE +');
-        }
+        sendAuthenticate(handler, auth_str);
     },
 
     RPL_LOGGEDIN: function(command, handler) {
@@ -331,6 +408,8 @@ const handlers = {
     },
 
     RPL_SASLLOGGEDIN: function(command, handler) {
+        handler.cache('sasl').destroy();
+
         if (handler.network.cap.negotiating === true) {
             handler.connection.write('CAP END');
             handler.network.cap.negotiating = false;
@@ -338,16 +417,58 @@ const handlers = {
     },
 
     ERR_SASLNOTAUTHORISED: function(command, handler) {
+        const sasl = handler.cache('sasl');
+        sasl.last_error = {
+            reason: 'fail',
+            message: command.params[command.params.length - 1],
+            tags: command.tags
+        };
+
+        // Authentication with this mechanism failed, move on to the next one
         if (handler.network.cap.negotiating) {
-            handler.connection.write('CAP END');
-            handler.network.cap.negotiating = false;
+            startNextSaslMechanism(handler);
         }
     },
 
-    ERR_SASLABORTED: function(command, handler) {
+    ERR_SASLTOOLONG: function(command, handler) {
+        const sasl = handler.cache('sasl');
+        sasl.last_error = {
+            reason: 'too_long',
+            message: command.params[command.params.length - 1],
+            tags: command.tags
+        };
+
         if (handler.network.cap.negotiating) {
-            handler.connection.write('CAP END');
-            handler.network.cap.negotiating = false;
+            startNextSaslMechanism(handler);
+        }
+    },
+
+    ERR_SASLABORTED: function(command, handler) {
+        const sasl = handler.cache('sasl');
+
+        // An abort from us means we could not trust the server so don't try any
+        // other mechanisms
+        saslFailed(handler, sasl.last_error || {
+            reason: 'aborted',
+            message: command.params[command.params.length - 1],
+            tags: command.tags
+        });
+    },
+
+    ERR_NICKLOCKED: function(command, handler) {
+        saslFailed(handler, {
+            reason: 'nick_locked',
+            message: command.params[command.params.length - 1],
+            tags: command.tags
+        });
+    },
+
+    RPL_SASLMECHS: function(command, handler) {
+        // The server does not support the mechanism we tried. Only keep to the ones it does
+        const sasl = handler.cache('sasl');
+        sasl.mechanisms = (command.params[1] || '').toUpperCase().split(',');
+        if (sasl.remaining) {
+            sasl.remaining = _.intersection(sasl.remaining, sasl.mechanisms);
         }
     },
 
@@ -383,6 +504,244 @@ function getSaslAuth(handler) {
     return null;
 }
 
+/**
+ * An STS policy over an insecure connection means reconnecting with TLS to the given port.
+ * Over a secure connection the policy is saved so that future connections use TLS
+ */
+function handleStsPolicy(handler, value) {
+    const options = handler.connection.options;
+    const sts = handler.cache('sts');
+    const policy = Sts.parsePolicy(value);
+
+    if (!Sts.transportSupportsSts(options.transport)) {
+        return;
+    }
+
+    if (options.tls || options.ssl) {
+        if (policy.duration !== null) {
+            sts.duration = policy.duration;
+            Sts.savePolicy(options.sts_policy_store, options.host, options.port, policy.duration);
+        }
+        return;
+    }
+
+    if (!policy.port || sts.upgrading) {
+        return;
+    }
+
+    sts.upgrading = true;
+    handler.network.cap.negotiating = false;
+
+    handler.emit('sts upgrade', {
+        host: options.host,
+        port: policy.port
+    });
+
+    _.defer(function() {
+        handler.connection.connect(_.extend({}, options, {
+            tls: true,
+            port: policy.port
+        }));
+    });
+}
+
+/**
+ * The SASL mechanisms to authenticate with, in order of preference. Defaults to PLAIN.
+ * The sasl_mechanism option may be a single mechanism or an array of them. SCRAM
+ * mechanisms we can't hash for, which is all of them in browsers, are left out.
+ */
+function getSaslMechanisms(handler) {
+    const mechanisms = [].concat(handler.connection.options.sasl_mechanism || 'PLAIN');
+    return mechanisms.map(function(mechanism) {
+        return String(mechanism).toUpperCase();
+    }).filter(function(mechanism) {
+        return mechanism.indexOf('SCRAM-') !== 0 || !!Scram.mechanismHash(mechanism);
+    });
+}
+
+/**
+ * Start authenticating with the next untried SASL mechanism. Once they have all been
+ * tried, SASL has failed.
+ */
+function startNextSaslMechanism(handler) {
+    const sasl = handler.cache('sasl');
+    const mechanism = (sasl.remaining || []).shift();
+
+    if (!mechanism) {
+        saslFailed(handler, sasl.last_error || {
+            reason: 'unsupported_mechanism',
+            message: 'None of the SASL mechanisms are supported by the server',
+        });
+        return;
+    }
+
+    sasl.mechanism = mechanism;
+    sasl.buffer = '';
+    delete sasl.scram;
+
+    handler.connection.write('AUTHENTICATE ' + mechanism);
+}
+
+/**
+ * Give up on SASL. Either disconnect or continue registering without being authenticated,
+ * depending on the sasl_disconnect_on_fail option.
+ */
+function saslFailed(handler, error) {
+    const sasl = handler.cache('sasl');
+
+    handler.emit('sasl failed', {
+        reason: error.reason,
+        message: error.message || '',
+        mechanism: sasl.mechanism || null,
+        mechanisms: sasl.mechanisms || [],
+        tags: error.tags || {}
+    });
+
+    sasl.destroy();
+
+    if (handler.connection.options.sasl_disconnect_on_fail) {
+        handler.network.cap.negotiating = false;
+        handler.connection.end('QUIT :SASL authentication failed');
+    } else if (handler.network.cap.negotiating) {
+        handler.connection.write('CAP END');
+        handler.network.cap.negotiating = false;
+    }
+}
+
+/**
+ * Base64 encode and send a SASL response, splitting it into 400 byte chunks.
+ * An empty response, or one that ends exactly on a chunk boundary, is terminated with '+'
+ */
+function sendAuthenticate(handler, data) {
+    let b64 = Buffer.from(data, 'utf8').toString('base64');
+
+    while (b64.length >= 400) {
+        handler.connection.write('AUTHENTICATE ' + b64.slice(0, 400));
+        b64 = b64.slice(400);
+    }
+
+    handler.connection.write('AUTHENTICATE ' + (b64 || '+'));
+}
+
+/**
+ * Step through a SCRAM-SHA-* exchange. Each AUTHENTICATE from the server moves it on:
+ * '+' -> client-first, server-first -> client-final, server-final -> verified.
+ * If anything fails to verify the exchange is aborted with AUTHENTICATE *
+ */
+function authenticateScram(handler, mechanism, challenge) {
+    const sasl = handler.cache('sasl');
+
+    try {
+        if (!sasl.scram) {
+            const saslAuth = getSaslAuth(handler);
+            sasl.scram = new Scram(Scram.mechanismHash(mechanism), saslAuth.account, saslAuth.password);
+            sendAuthenticate(handler, sasl.scram.clientFirst());
+        } else if (!sasl.scram.server_signature) {
+            sendAuthenticate(handler, sasl.scram.clientFinal(challenge));
+        } else {
+            sasl.scram.verifyServerFinal(challenge);
+            handler.connection.write('AUTHENTICATE +');
+        }
+    } catch (err) {
+        delete sasl.scram;
+        sasl.last_error = {
+            reason: 'verification_failed',
+            message: err.message,
+        };
+        handler.connection.write('AUTHENTICATE *');
+        handler.emit('irc error', {
+            error: 'sasl_failed',
+            mechanism: mechanism,
+            reason: err.message
+        });
+    }
+}
+
+// Values may contain \xHH escapes, eg. \x20 for a space
+function unescapeISupportValue(value) {
+    return value.replace(/\\x([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Parse a ISUPPORT value into something more useful than the raw string
+function parseISupportValue(name, value) {
+    const raw = value === true ? '' : value;
+
+    if (NUMERIC_ISUPPORT.indexOf(name) > -1) {
+        const number = parseInt(raw, 10);
+        return isNaN(number) ? value : number;
+    }
+
+    switch (name) {
+    case 'PREFIX': {
+        const prefixes = [];
+        const matches = /\(([^)]*)\)(.*)/.exec(raw);
+        if (matches) {
+            for (let i = 0; i < matches[2].length; i++) {
+                prefixes.push({ symbol: matches[2].charAt(i), mode: matches[1].charAt(i) });
+            }
+        }
+        return prefixes;
+    }
+    case 'CHANTYPES':
+    case 'STATUSMSG':
+        return raw.split('');
+    case 'CHANMODES':
+        return raw.split(',');
+    case 'ELIST':
+        return raw.toUpperCase().split('');
+    case 'EXCEPTS':
+        return raw || 'e';
+    case 'INVEX':
+        return raw || 'I';
+    case 'EXTBAN': {
+        // EXTBAN=~,qjncrRa or EXTBAN=,ABC without a prefix
+        const parts = Helpers.splitOnce(raw, ',');
+        return { prefix: parts[0], types: parts[1] || '' };
+    }
+    case 'TARGMAX':
+        // TARGMAX=PRIVMSG:4,NOTICE:4,JOIN: as { PRIVMSG: 4, NOTICE: 4, JOIN: Infinity }
+        return raw.split(',').reduce((targmax, item) => {
+            const parts = Helpers.splitOnce(item, ':');
+            if (parts[0]) {
+                targmax[parts[0].toUpperCase()] = parseInt(parts[1], 10) || Infinity;
+            }
+            return targmax;
+        }, {});
+    case 'MAXLIST':
+    case 'CHANLIMIT':
+        // MAXLIST=beI:100,q:50 as [{ chars: 'beI', limit: 100 }, { chars: 'q', limit: 50 }]
+        return raw.split(',').reduce((limits, item) => {
+            const parts = Helpers.splitOnce(item, ':');
+            if (parts[0]) {
+                limits.push({ chars: parts[0], limit: parseInt(parts[1], 10) || Infinity });
+            }
+            return limits;
+        }, []);
+    }
+
+    return value;
+}
+
+function diffOptions(before, after) {
+    const diff = { added: [], removed: [], changed: [] };
+
+    Object.keys(after).forEach(function(name) {
+        if (!Object.prototype.hasOwnProperty.call(before, name)) {
+            diff.added.push({ name: name, value: after[name] });
+        } else if (!_.isEqual(before[name], after[name])) {
+            diff.changed.push({ name: name, old_value: before[name], value: after[name] });
+        }
+    });
+
+    Object.keys(before).forEach(function(name) {
+        if (!Object.prototype.hasOwnProperty.call(after, name)) {
+            diff.removed.push({ name: name, old_value: before[name] });
+        }
+    });
+
+    return diff;
+}
+
 module.exports = function AddCommandHandlers(command_controller) {
     _.each(handlers, function(handler, handler_command) {
         command_controller.addHandler(handler_command, handler);
@@ -3,6 +3,7 @@
 const _ = {
     each: require('lodash/each'),
 };
+const Helpers = require('../../helpers');
 
 const handlers = {
     NICK: function(command, handler) {
@@ -123,6 +124,70 @@ const handlers = {
         });
     },
 
+    RPL_MONONLINE: function(command, handler) {
+        const targets = command.params[command.params.length - 1] || '';
+        targets.split(',').forEach(target => {
+            if (!target) {
+                return;
+            }
+
+            const mask = Helpers.parseMask(target);
+            handler.emit('user online', {
+                nick: mask.nick,
+                ident: mask.user,
+                hostname: mask.host,
+                tags: command.tags
+            });
+        });
+    },
+
+    RPL_MONOFFLINE: function(command, handler) {
+        const targets = command.params[command.params.length - 1] || '';
+        targets.split(',').forEach(target => {
+            if (!target) {
+                return;
+            }
+
+            handler.emit('user offline', {
+                nick: target,
+                tags: command.tags
+            });
+        });
+    },
+
+    ERR_MONLISTFULL: function(command, handler) {
+        handler.emit('monitor list full', {
+            limit: parseInt(command.params[1], 10) || 0,
+            nicks: (command.params[2] || '').split(','),
+            tags: command.tags
+        });
+    },
+
+    // Unreal style WATCH replies: <me> <nick> <ident> <hostname> <timestamp> :<message>
+    RPL_LOGON: function(command, handler) {
+        emitWatchOnline(command, handler);
+    },
+
+    RPL_NOWON: function(command, handler) {
+        emitWatchOnline(command, handler);
+    },
+
+    RPL_LOGOFF: function(command, handler) {
+        emitWatchOffline(command, handler);
+    },
+
+    RPL_NOWOFF: function(command, handler) {
+        emitWatchOffline(command, handler);
+    },
+
+    ERR_TOOMANYWATCH: function(command, handler) {
+        handler.emit('monitor list full', {
+            limit: parseInt(handler.network.supports('WATCH'), 10) || 0,
+            nicks: [command.params[1]],
+            tags: command.tags
+        });
+    },
+
     ERR_NICKNAMEINUSE: function(command, handler) {
         handler.emit('nick in use', {
             nick: command.params[1],
@@ -140,7 +205,7 @@ const handlers = {
     },
 
     RPL_ENDOFWHOIS: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         if (!cache.nick) {
@@ -153,7 +218,7 @@ const handlers = {
     },
 
     RPL_AWAY: function(command, handler) {
-        const cache_key = 'whois.' + command.params[1].toLowerCase();
+        const cache_key = 'whois.' + handler.network.caseFold(command.params[1]);
         const message = command.params[command.params.length - 1] || 'is away';
 
         // RPL_AWAY may come as a response to PRIVMSG, and not be a part of whois
@@ -178,7 +243,7 @@ const handlers = {
     },
 
     RPL_WHOISUSER: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.nick = command.params[1];
         cache.ident = command.params[2];
@@ -187,32 +252,32 @@ const handlers = {
     },
 
     RPL_WHOISHELPOP: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.helpop = command.params[command.params.length - 1];
     },
 
     RPL_WHOISBOT: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.bot = command.params[command.params.length - 1];
     },
 
     RPL_WHOISSERVER: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.server = command.params[2];
         cache.server_info = command.params[command.params.length - 1];
     },
 
     RPL_WHOISOPERATOR: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.operator = command.params[command.params.length - 1];
     },
 
     RPL_WHOISCHANNELS: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         if (cache.channels) {
             cache.channels += ' ' + command.params[command.params.length - 1];
@@ -222,13 +287,13 @@ const handlers = {
     },
 
     RPL_WHOISMODES: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.modes = command.params[command.params.length - 1];
     },
 
     RPL_WHOISIDLE: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.idle = command.params[2];
         if (command.params[3]) {
@@ -237,13 +302,13 @@ const handlers = {
     },
 
     RPL_WHOISREGNICK: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.registered_nick = command.params[command.params.length - 1];
     },
 
     RPL_WHOISHOST: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         const last_param = command.params[command.params.length - 1];
@@ -259,32 +324,32 @@ const handlers = {
     },
 
     RPL_WHOISSECURE: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.secure = true;
     },
 
     RPL_WHOISACCOUNT: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.account = command.params[2];
     },
 
     RPL_WHOISSPECIAL: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.special = cache.special || [];
         cache.special.push(command.params[command.params.length - 1]);
     },
 
     RPL_WHOISCOUNTRY: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
         cache.country = command.params[command.params.length - 1];
     },
 
     RPL_WHOISACTUALLY: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         // <source> 338 <target> <nick> <user>@<host> <ip> :Actual user@host, Actual IP
@@ -301,7 +366,7 @@ const handlers = {
     },
 
     RPL_WHOWASUSER: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         cache.nick = command.params[1];
@@ -320,7 +385,7 @@ const handlers = {
         // Valid optional keys: actual_ip, actual_hostname, account, server,
         //   server_info
         // More optional fields MAY exist, depending on the type of ircd.
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         // Should, in theory, never happen.
@@ -334,7 +399,7 @@ const handlers = {
     },
 
     ERR_WASNOSUCHNICK: function(command, handler) {
-        const cache_key = command.params[1].toLowerCase();
+        const cache_key = handler.network.caseFold(command.params[1]);
         const cache = handler.cache('whois.' + cache_key);
 
         cache.nick = command.params[1];
@@ -355,6 +420,22 @@ const handlers = {
     }
 };
 
+function emitWatchOnline(command, handler) {
+    handler.emit('user online', {
+        nick: command.params[1],
+        ident: command.params[2],
+        hostname: command.params[3],
+        tags: command.tags
+    });
+}
+
+function emitWatchOffline(command, handler) {
+    handler.emit('user offline', {
+        nick: command.params[1],
+        tags: command.tags
+    });
+}
+
 module.exports = function AddCommandHandlers(command_controller) {
     _.each(handlers, function(handler, handler_command) {
         command_controller.addHandler(handler_command, handler);
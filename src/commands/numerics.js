@@ -99,6 +99,8 @@ module.exports = {
     '344': 'RPL_WHOISCOUNTRY',
     '346': 'RPL_INVITELIST',
     '347': 'RPL_ENDOFINVITELIST',
+    '348': 'RPL_EXCEPTLIST',
+    '349': 'RPL_ENDOFEXCEPTLIST',
     '352': 'RPL_WHOREPLY',
     '353': 'RPL_NAMEREPLY',
     '354': 'RPL_WHOSPCRPL',
@@ -119,6 +121,7 @@ module.exports = {
     '396': 'RPL_HOSTCLOAKING',
     '401': 'ERR_NOSUCHNICK',
     '402': 'ERR_NOSUCHSERVER',
+    '403': 'ERR_NOSUCHCHANNEL',
     '404': 'ERR_CANNOTSENDTOCHAN',
     '405': 'ERR_TOOMANYCHANNELS',
     '406': 'ERR_WASNOSUCHNICK',
@@ -145,14 +148,31 @@ module.exports = {
     '484': 'ERR_ISCHANSERVICE',
     '485': 'ERR_ISREALSERVICE',
     '491': 'ERR_NOOPERHOST',
+    '512': 'ERR_TOOMANYWATCH',
+    '600': 'RPL_LOGON',
+    '601': 'RPL_LOGOFF',
+    '602': 'RPL_WATCHOFF',
+    '603': 'RPL_WATCHSTAT',
+    '604': 'RPL_NOWON',
+    '605': 'RPL_NOWOFF',
+    '606': 'RPL_WATCHLIST',
+    '607': 'RPL_ENDOFWATCHLIST',
     '670': 'RPL_STARTTLS',
     '671': 'RPL_WHOISSECURE',
+    '730': 'RPL_MONONLINE',
+    '731': 'RPL_MONOFFLINE',
+    '732': 'RPL_MONLIST',
+    '733': 'RPL_ENDOFMONLIST',
+    '734': 'ERR_MONLISTFULL',
     '900': 'RPL_LOGGEDIN',
     '901': 'RPL_LOGGEDOUT',
+    '902': 'ERR_NICKLOCKED',
     '903': 'RPL_SASLLOGGEDIN',
     '904': 'ERR_SASLNOTAUTHORISED',
+    '905': 'ERR_SASLTOOLONG',
     '906': 'ERR_SASLABORTED',
     '907': 'ERR_SASLALREADYAUTHED',
+    '908': 'RPL_SASLMECHS',
     '972': 'ERR_CANNOTDOCOMMAND',
     'WALLOPS': 'RPL_WALLOPS'
 };
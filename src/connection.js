@@ -5,6 +5,7 @@ const _ = {
 };
 const EventEmitter = require('eventemitter3');
 const ircLineParser = require('./irclineparser');
+const SendQueue = require('./sendqueue');
 
 module.exports = class Connection extends EventEmitter {
     constructor(options) {
@@ -28,6 +29,8 @@ module.exports = class Connection extends EventEmitter {
         this.transport = null;
 
         this._timers = [];
+
+        this.send_queue = new SendQueue(this);
     }
 
     debugOut(out) {
@@ -55,6 +58,7 @@ module.exports = class Connection extends EventEmitter {
             this.transport.removeAllListeners();
             this.transport.disposeSocket();
         }
+        this.send_queue.reset();
         this.transport = new options.transport(options);
 
         if (!options.encoding || !this.setEncoding(options.encoding)) {
@@ -113,6 +117,7 @@ module.exports = class Connection extends EventEmitter {
 
             that.connected = false;
             that.clearTimers();
+            that.send_queue.reset();
 
             that.emit('socket close', err);
 
@@ -162,7 +167,11 @@ module.exports = class Connection extends EventEmitter {
         this.processReadBuffer();
     }
 
-    write(data, callback) {
+    /**
+     * Send a line through the send queue. Returns the queued line which can be cancelled
+     * until it is sent, or false if not connected. See SendQueue.push() for options
+     */
+    write(data, callback, options) {
         if (!this.connected || this.requested_disconnect) {
             this.debugOut('write() called when not connected');
 
@@ -173,8 +182,13 @@ module.exports = class Connection extends EventEmitter {
             return false;
         }
 
+        return this.send_queue.push(data, callback, options);
+    }
+
+    // Send a line to the transport now, bypassing the send queue
+    writeLine(data, callback) {
         this.emit('raw', { line: data, from_server: false });
-        return this.transport.writeLine(data, callback);
+        this.transport.writeLine(data, callback);
     }
 
     /**
@@ -207,6 +221,8 @@ module.exports = class Connection extends EventEmitter {
         });
 
         this._timers = [];
+
+        this.send_queue.reset();
     }
 
     /**
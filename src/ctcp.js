@@ -0,0 +1,183 @@
+'use strict';
+
+// Only VERSION is answered by default so apps keep getting 'ctcp request' events for
+// everything else unless they enable more responders
+const DEFAULT_OPTIONS = {
+    ping: false,
+    time: false,
+    clientinfo: false,
+    source: '',
+    userinfo: '',
+    finger: '',
+
+    // Replies allowed per sender and in total within rate_interval seconds
+    sender_limit: 3,
+    global_limit: 10,
+    rate_interval: 10,
+};
+
+/**
+ * Replies to CTCP requests
+ *
+ * Built in responders for PING, TIME, CLIENTINFO, SOURCE, USERINFO and FINGER are enabled
+ * with the `ctcp` client option, and VERSION with the `version` option.
+ * Apps may add their own with addResponder(). Requests with a responder are answered
+ * here instead of being emitted as 'ctcp request' events, and replies are rate limited
+ * so CTCP floods don't get us disconnected for flooding.
+ */
+module.exports = class Ctcp {
+    constructor(client) {
+        this.client = client;
+
+        // Responders added by addResponder(), keyed by their uppercased CTCP type
+        this.responders = Object.create(null);
+
+        // Types whose responders skip the reply rate limit
+        this.unlimited = Object.create(null);
+
+        // Times of recent replies, for rate limiting
+        this.replies = [];
+        this.sender_replies = Object.create(null);
+    }
+
+    options() {
+        return Object.assign({}, DEFAULT_OPTIONS, this.client.options.ctcp);
+    }
+
+    /**
+     * Answer CTCP requests of a type with the result of responder(event). The result may
+     * be a string or a promise resolving to one. Nothing is sent if it is null or false.
+     * Responders replace any built in responder of the same type. options.rate_limit set
+     * to false lets every request through to responders that don't reply
+     */
+    addResponder(type, responder, options) {
+        type = type.toUpperCase();
+        this.responders[type] = responder;
+
+        if (options && options.rate_limit === false) {
+            this.unlimited[type] = true;
+        } else {
+            delete this.unlimited[type];
+        }
+    }
+
+    removeResponder(type) {
+        type = type.toUpperCase();
+        delete this.responders[type];
+        delete this.unlimited[type];
+    }
+
+    getResponder(type) {
+        return this.responders[type] || this.builtInResponders()[type] || null;
+    }
+
+    // The CTCP types we reply to
+    types() {
+        return Object.keys(Object.assign({}, this.builtInResponders(), this.responders)).sort();
+    }
+
+    // The built in responders enabled by the current client options
+    builtInResponders() {
+        const options = this.options();
+        const version = this.client.options.version;
+        const responders = {};
+
+        if (options.ping) {
+            responders.PING = event => event.message.substr(5);
+        }
+        if (options.time) {
+            responders.TIME = () => new Date().toString();
+        }
+        if (version) {
+            responders.VERSION = () => version;
+        }
+        if (options.clientinfo) {
+            responders.CLIENTINFO = () => ['ACTION'].concat(this.types()).join(' ');
+        }
+        if (options.source) {
+            responders.SOURCE = () => options.source;
+        }
+        if (options.userinfo) {
+            responders.USERINFO = () => options.userinfo;
+        }
+        if (options.finger) {
+            responders.FINGER = () => options.finger;
+        }
+
+        return responders;
+    }
+
+    /**
+     * Reply to a 'ctcp request' event if there is a responder for it. Returns true if the
+     * request was handled here, even if the reply was dropped by the rate limit
+     */
+    respond(event) {
+        const type = (event.type || '').toUpperCase();
+        const responder = this.getResponder(type);
+        if (!responder || !event.nick) {
+            return false;
+        }
+
+        if (!this.unlimited[type] && !this.allowReply(event.nick)) {
+            this.client.debugOut('Dropped CTCP ' + type + ' reply to ' + event.nick + ', rate limited');
+            return true;
+        }
+
+        const onError = (err) => {
+            this.client.debugOut('CTCP ' + type + ' responder failed: ' + err.message);
+        };
+
+        let reply;
+        try {
+            reply = responder(event);
+        } catch (err) {
+            onError(err);
+            return true;
+        }
+
+        if (reply && typeof reply.then === 'function') {
+            reply.then(r => this.sendReply(event.nick, type, r), onError);
+        } else {
+            this.sendReply(event.nick, type, reply);
+        }
+
+        return true;
+    }
+
+    sendReply(nick, type, reply) {
+        if (reply === null || typeof reply === 'undefined' || reply === false) {
+            return;
+        }
+
+        if (reply === '') {
+            this.client.ctcpResponse(nick, type);
+        } else {
+            this.client.ctcpResponse(nick, type, String(reply));
+        }
+    }
+
+    // Record a reply to a sender, or return false if we have replied too much recently
+    allowReply(nick) {
+        const options = this.options();
+        const since = Date.now() - options.rate_interval * 1000;
+        const key = this.client.network.caseFold(nick);
+
+        this.replies = this.replies.filter(time => time > since);
+        Object.keys(this.sender_replies).forEach(sender => {
+            this.sender_replies[sender] = this.sender_replies[sender].filter(time => time > since);
+            if (!this.sender_replies[sender].length) {
+                delete this.sender_replies[sender];
+            }
+        });
+
+        const sender_replies = this.sender_replies[key] || [];
+        if (this.replies.length >= options.global_limit || sender_replies.length >= options.sender_limit) {
+            return false;
+        }
+
+        const now = Date.now();
+        this.replies.push(now);
+        this.sender_replies[key] = sender_replies.concat(now);
+        return true;
+    }
+};
@@ -0,0 +1,742 @@
+'use strict';
+
+const _ = {
+    find: require('lodash/find'),
+    pull: require('lodash/pull'),
+};
+const net = require('net');
+const { PassThrough } = require('stream');
+const EventEmitter = require('eventemitter3');
+
+const DEFAULT_OPTIONS = {
+    // function(offer) returning true, or a promise resolving to true, to accept an offer.
+    // Offers are otherwise only accepted by calling offer.accept()
+    accept: null,
+
+    // The IP address given in our offers. Defaults to the local address of the IRC connection
+    address: '',
+
+    // Ports to listen on for our offers as [first, last]. Any free port if not set
+    ports: null,
+
+    // Seconds to wait for a connection or a reply, and the longest a transfer may stall
+    timeout: 120,
+};
+
+/**
+ * DCC SEND and DCC CHAT over direct TCP connections. Only available in nodejs
+ *
+ * Usage:
+ *   const dcc = new IrcFramework.Dcc(client, { accept: offer => offer.size < 1e6 });
+ *   dcc.on('transfer', transfer => transfer.pipe(fs.createWriteStream('/downloads/' + transfer.filename)));
+ *
+ * Emits 'offer' for each DCC SEND or CHAT offer we receive. Offers are never accepted
+ * unless the `accept` policy allows it or offer.accept() is called. Accepted offers
+ * emit 'transfer' with a DccTransfer or 'chat' with a DccChat.
+ */
+module.exports = class Dcc extends EventEmitter {
+    constructor(client, options) {
+        super();
+
+        this.client = client;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+        // Transfers and chats waiting on a DCC reply from the other side
+        this.pending = [];
+        this.next_token = 1;
+
+        // Offers are not replies, so every one of them gets through to the 'offer' event
+        client.ctcp.addResponder('DCC', event => {
+            this.handleRequest(event);
+            return null;
+        }, { rate_limit: false });
+    }
+
+    /**
+     * Offer a file to a user. source is a readable stream of the file, or a
+     * function(position) returning one from a byte position which also lets the
+     * transfer be resumed. options.passive asks the user to listen instead of us
+     */
+    send(nick, filename, size, source, options) {
+        options = options || {};
+
+        const transfer = new DccTransfer(this, {
+            direction: 'send',
+            nick: nick,
+            filename: safeFilename(filename),
+            size: size,
+            source: source,
+            passive: !!options.passive,
+        });
+
+        this.offer(transfer);
+        return transfer;
+    }
+
+    /**
+     * Offer a chat to a user. options.passive asks the user to listen instead of us
+     */
+    chat(nick, options) {
+        options = options || {};
+
+        const chat = new DccChat(this, {
+            nick: nick,
+            passive: !!options.passive,
+        });
+
+        this.offer(chat);
+        return chat;
+    }
+
+    offer(session) {
+        if (!session.passive) {
+            this.listen(session, port => {
+                session.port = port;
+                this.addPending(session);
+                this.sendOffer(session, port);
+            });
+            return;
+        }
+
+        session.token = String(this.next_token++);
+        this.addPending(session);
+        this.wait(session, 'Timed out waiting for a reply to the DCC offer');
+        this.sendOffer(session, 0);
+    }
+
+    // Send a DCC SEND or CHAT line for our side of a session
+    sendOffer(session, port) {
+        const address = this.localAddress();
+        if (!address && port) {
+            session.fail(new Error('No address to offer DCC connections on, set the address option'));
+            return;
+        }
+
+        const args = session instanceof DccChat ?
+            ['CHAT', 'chat', formatAddress(address || '0'), port] :
+            ['SEND', formatFilename(session.filename), formatAddress(address || '0'), port, session.size];
+        if (session.token) {
+            args.push(session.token);
+        }
+
+        this.client.ctcpRequest.apply(this.client, [session.nick, 'DCC'].concat(args));
+    }
+
+    // The IP address to give in our offers
+    localAddress() {
+        const transport = this.client.connection.transport;
+        const address = this.options.address ||
+            (transport && transport.socket && transport.socket.localAddress) ||
+            '';
+
+        return address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+    }
+
+    handleRequest(event) {
+        const request = parseRequest(event.message);
+        if (!request) {
+            this.client.debugOut('Ignoring unknown DCC request from ' + event.nick + ': ' + event.message);
+            return;
+        }
+
+        if (request.command === 'SEND' || request.command === 'CHAT') {
+            const type = request.command === 'SEND' ? 'send' : 'chat';
+
+            // An answer to one of our passive offers
+            const answered = request.token && request.port && this.findPending(event.nick, session => {
+                return session.type === type && session.passive && session.token === request.token;
+            });
+            if (answered) {
+                this.removePending(answered);
+                this.connect(answered, request.address, request.port);
+                return;
+            }
+
+            this.handleOffer(new DccOffer(this, event, request));
+        } else if (request.command === 'RESUME') {
+            this.handleResume(event, request);
+        } else if (request.command === 'ACCEPT') {
+            const transfer = this.findPending(event.nick, session => {
+                return session.type === 'send' && session.direction === 'receive' && matchesRequest(session, request);
+            });
+            if (transfer) {
+                this.removePending(transfer);
+                transfer.position = request.position;
+                this.open(transfer);
+            }
+        }
+    }
+
+    handleOffer(offer) {
+        this.emit('offer', offer);
+
+        const policy = this.options.accept;
+        if (offer.state !== 'pending' || typeof policy !== 'function') {
+            return;
+        }
+
+        let allowed;
+        try {
+            allowed = policy(offer);
+        } catch (err) {
+            this.client.debugOut('DCC accept policy failed: ' + err.message);
+            return;
+        }
+
+        Promise.resolve(allowed).then(result => {
+            if (result && offer.state === 'pending') {
+                offer.accept();
+            }
+        }, err => {
+            this.client.debugOut('DCC accept policy failed: ' + err.message);
+        });
+    }
+
+    // A user wants to resume one of our offered files part way through
+    handleResume(event, request) {
+        const transfer = this.findPending(event.nick, session => {
+            return session.type === 'send' && session.direction === 'send' && matchesRequest(session, request);
+        });
+
+        if (!transfer || typeof transfer.source !== 'function' || request.position >= transfer.size) {
+            this.client.debugOut('Ignoring DCC RESUME from ' + event.nick + ' for ' + request.filename);
+            return;
+        }
+
+        transfer.position = request.position;
+        const args = ['ACCEPT', formatFilename(transfer.filename), transfer.passive ? 0 : transfer.port, transfer.position];
+        if (transfer.token) {
+            args.push(transfer.token);
+        }
+
+        this.client.ctcpRequest.apply(this.client, [transfer.nick, 'DCC'].concat(args));
+    }
+
+    // Accept an offer we have received
+    acceptOffer(offer, options) {
+        options = options || {};
+
+        if (offer.type === 'chat') {
+            const chat = new DccChat(this, offer);
+            this.open(chat);
+            this.emit('chat', chat);
+            return chat;
+        }
+
+        const position = Math.max(0, parseInt(options.position, 10) || 0);
+        const transfer = new DccTransfer(this, Object.assign({}, offer, {
+            direction: 'receive',
+            position: 0,
+        }));
+
+        if (position && (!offer.size || position < offer.size)) {
+            this.addPending(transfer);
+            this.wait(transfer, 'Timed out waiting for the DCC resume to be accepted');
+
+            const args = ['RESUME', formatFilename(offer.filename), offer.port, position];
+            if (offer.token) {
+                args.push(offer.token);
+            }
+            this.client.ctcpRequest.apply(this.client, [offer.nick, 'DCC'].concat(args));
+        } else {
+            this.open(transfer);
+        }
+
+        this.emit('transfer', transfer);
+        return transfer;
+    }
+
+    // Connect to the other side of a received offer, or listen if it was passive
+    open(session) {
+        if (!session.passive) {
+            this.connect(session, session.address, session.port);
+            return;
+        }
+
+        this.listen(session, port => {
+            this.sendOffer(session, port);
+        });
+    }
+
+    connect(session, address, port) {
+        if (session.isClosed()) {
+            return;
+        }
+
+        const socket = net.connect({ host: address, port: port });
+        session.socket = socket;
+        this.wait(session, 'Timed out connecting to ' + address + ':' + port);
+
+        socket.once('connect', () => session.attach(socket));
+        socket.on('error', err => session.fail(err));
+    }
+
+    // Listen for the other side to connect, calling ready(port) once listening
+    listen(session, ready) {
+        const ports = [];
+        if (this.options.ports) {
+            for (let port = this.options.ports[0]; port <= this.options.ports[1]; port++) {
+                ports.push(port);
+            }
+        } else {
+            ports.push(0);
+        }
+
+        const tryPort = (idx) => {
+            const server = net.createServer();
+            server.once('error', err => {
+                if (err.code === 'EADDRINUSE' && idx + 1 < ports.length) {
+                    tryPort(idx + 1);
+                } else {
+                    session.fail(err);
+                }
+            });
+
+            server.listen(ports[idx], () => {
+                if (session.isClosed()) {
+                    server.close();
+                    return;
+                }
+
+                session.server = server;
+                this.wait(session, 'Timed out waiting for a DCC connection');
+                server.once('connection', socket => session.attach(socket));
+                ready(server.address().port);
+            });
+        };
+
+        tryPort(0);
+    }
+
+    // Fail a session if it is still waiting after the timeout
+    wait(session, message) {
+        clearTimeout(session.timer);
+        session.timer = setTimeout(() => {
+            session.fail(new Error(message));
+        }, this.options.timeout * 1000);
+    }
+
+    // Stop waiting for a session to connect or be answered
+    stopWaiting(session) {
+        clearTimeout(session.timer);
+        session.timer = null;
+
+        if (session.server) {
+            session.server.close();
+            session.server = null;
+        }
+
+        this.removePending(session);
+    }
+
+    addPending(session) {
+        if (this.pending.indexOf(session) === -1) {
+            this.pending.push(session);
+        }
+    }
+
+    removePending(session) {
+        _.pull(this.pending, session);
+    }
+
+    findPending(nick, fn) {
+        return _.find(this.pending, session => {
+            return this.client.network.isSameTarget(session.nick, nick) && fn(session);
+        }) || null;
+    }
+};
+
+/**
+ * A DCC SEND or CHAT offer from another user
+ */
+class DccOffer {
+    constructor(dcc, event, request) {
+        this.dcc = dcc;
+        this.type = request.command === 'SEND' ? 'send' : 'chat';
+        this.nick = event.nick;
+        this.ident = event.ident;
+        this.hostname = event.hostname;
+        this.filename = this.type === 'send' ? safeFilename(request.filename) : '';
+        this.size = request.size;
+        this.address = request.address;
+        this.port = request.port;
+        this.token = request.token;
+
+        // Passive offers ask us to listen and tell them where to connect
+        this.passive = request.port === 0;
+
+        // pending, accepted or rejected
+        this.state = 'pending';
+    }
+
+    /**
+     * Returns a DccTransfer or DccChat. options.position resumes a transfer from
+     * that byte, eg. the size of a partly downloaded file
+     */
+    accept(options) {
+        if (this.state !== 'pending') {
+            return null;
+        }
+
+        this.state = 'accepted';
+        return this.dcc.acceptOffer(this, options);
+    }
+
+    reject() {
+        if (this.state !== 'pending') {
+            return false;
+        }
+
+        this.state = 'rejected';
+        return true;
+    }
+}
+
+/**
+ * A file being received or sent. Received file data is read from the stream, and when
+ * sending the source is piped through it to the other side. Emits 'progress' with
+ * { bytes, size } as data is transferred and 'done' once the whole file has been
+ * transferred. 'failed' is emitted with the error when the transfer fails, including the
+ * other side going away early, and the stream is destroyed without an error.
+ */
+class DccTransfer extends PassThrough {
+    constructor(dcc, info) {
+        super();
+
+        this.dcc = dcc;
+        this.type = 'send';
+        this.direction = info.direction;
+        this.nick = info.nick;
+        this.filename = info.filename;
+        this.size = info.size || 0;
+        this.source = info.source || null;
+        this.address = info.address || '';
+        this.port = info.port || 0;
+        this.token = info.token || '';
+        this.passive = !!info.passive;
+
+        // The byte the transfer started from if resumed, and bytes transferred since
+        this.position = info.position || 0;
+        this.bytes = 0;
+
+        // pending, connected, done, failed or cancelled
+        this.state = 'pending';
+        this.socket = null;
+        this.server = null;
+        this.timer = null;
+    }
+
+    isClosed() {
+        return ['done', 'failed', 'cancelled'].indexOf(this.state) > -1;
+    }
+
+    attach(socket) {
+        if (this.isClosed()) {
+            socket.destroy();
+            return;
+        }
+
+        this.dcc.stopWaiting(this);
+        this.socket = socket;
+        this.state = 'connected';
+
+        socket.setTimeout(this.dcc.options.timeout * 1000);
+        socket.on('timeout', () => this.fail(new Error('DCC transfer stalled')));
+        socket.on('error', err => this.fail(err));
+        socket.on('close', () => this.onClose());
+
+        if (this.direction === 'receive') {
+            socket.on('data', chunk => this.onData(chunk));
+        } else {
+            this.startSending();
+        }
+
+        this.emit('connected');
+    }
+
+    onData(chunk) {
+        this.bytes += chunk.length;
+
+        // Acknowledge the bytes received so far as a 32bit number
+        const ack = Buffer.alloc(4);
+        ack.writeUInt32BE((this.position + this.bytes) % 4294967296, 0);
+        this.socket.write(ack);
+
+        if (!this.write(chunk)) {
+            this.socket.pause();
+            this.once('drain', () => this.socket.resume());
+        }
+
+        this.emit('progress', { bytes: this.position + this.bytes, size: this.size });
+
+        if (this.size && this.position + this.bytes >= this.size) {
+            this.finish();
+        }
+    }
+
+    startSending() {
+        const source = typeof this.source === 'function' ?
+            this.source(this.position) :
+            this.source;
+
+        source.on('error', err => this.fail(err));
+        this.on('data', chunk => {
+            this.bytes += chunk.length;
+            this.emit('progress', { bytes: this.position + this.bytes, size: this.size });
+        });
+
+        // Acknowledgements of what has been received are only read to keep the socket flowing
+        this.socket.on('data', () => {});
+
+        source.pipe(this).pipe(this.socket);
+    }
+
+    onClose() {
+        if (this.state !== 'connected') {
+            return;
+        }
+
+        const complete = this.size ?
+            this.position + this.bytes >= this.size :
+            this.direction === 'receive';
+
+        if (complete) {
+            this.finish();
+        } else {
+            this.fail(new Error('DCC transfer ended early'));
+        }
+    }
+
+    finish() {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = 'done';
+        if (this.direction === 'receive') {
+            this.socket.end();
+            this.end();
+        }
+
+        this.emit('done');
+    }
+
+    fail(err) {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = 'failed';
+        this.dcc.stopWaiting(this);
+        if (this.socket) {
+            this.socket.destroy();
+        }
+
+        // Failures are reported with 'failed' only, so apps that pipe transfers without
+        // an 'error' listener don't crash
+        this.emit('failed', err);
+        this.destroy();
+    }
+
+    cancel() {
+        if (this.isClosed()) {
+            return false;
+        }
+
+        this.state = 'cancelled';
+        this.dcc.stopWaiting(this);
+        if (this.socket) {
+            this.socket.destroy();
+        }
+
+        this.destroy();
+        return true;
+    }
+}
+
+/**
+ * A direct chat with another user. Emits 'connected', 'message' and 'action' with
+ * { nick, message } for each line received, 'error' and 'close'
+ */
+class DccChat extends EventEmitter {
+    constructor(dcc, info) {
+        super();
+
+        this.dcc = dcc;
+        this.type = 'chat';
+        this.nick = info.nick;
+        this.address = info.address || '';
+        this.port = info.port || 0;
+        this.token = info.token || '';
+        this.passive = !!info.passive;
+
+        // pending, connected, closed or failed
+        this.state = 'pending';
+        this.socket = null;
+        this.server = null;
+        this.timer = null;
+        this.buffer = '';
+    }
+
+    isClosed() {
+        return this.state === 'closed' || this.state === 'failed';
+    }
+
+    attach(socket) {
+        if (this.isClosed()) {
+            socket.destroy();
+            return;
+        }
+
+        this.dcc.stopWaiting(this);
+        this.socket = socket;
+        this.state = 'connected';
+
+        socket.setEncoding('utf8');
+        socket.on('data', data => this.onData(data));
+        socket.on('error', err => this.fail(err));
+        socket.on('close', () => this.close());
+
+        this.emit('connected');
+    }
+
+    onData(data) {
+        const lines = (this.buffer + data).split('\n');
+        this.buffer = lines.pop();
+
+        lines.forEach(line => {
+            line = line.replace(/\r$/, '');
+
+            if (line.indexOf('\x01ACTION ') === 0 && line.charAt(line.length - 1) === '\x01') {
+                this.emit('action', { nick: this.nick, message: line.slice(8, -1) });
+            } else {
+                this.emit('message', { nick: this.nick, message: line });
+            }
+        });
+    }
+
+    say(message) {
+        if (this.state !== 'connected') {
+            return false;
+        }
+
+        String(message).split(/\r?\n/).forEach(line => this.socket.write(line + '\n'));
+        return true;
+    }
+
+    action(message) {
+        return this.say('\x01ACTION ' + message + '\x01');
+    }
+
+    close() {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = 'closed';
+        this.dcc.stopWaiting(this);
+        if (this.socket) {
+            this.socket.end();
+        }
+
+        this.emit('close');
+    }
+
+    fail(err) {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = 'failed';
+        this.dcc.stopWaiting(this);
+        if (this.socket) {
+            this.socket.destroy();
+        }
+
+        this.emit('error', err);
+        this.emit('close');
+    }
+}
+
+/**
+ * Parse the message of a DCC CTCP request, eg. 'DCC SEND "my file.txt" 3232235777 5000 1024'.
+ * Returns null for requests we don't support
+ */
+function parseRequest(message) {
+    const args = (message.match(/"[^"]*"|\S+/g) || []).map(arg => arg.replace(/^"(.*)"$/, '$1'));
+    const command = (args[1] || '').toUpperCase();
+
+    if (command === 'SEND' || command === 'CHAT') {
+        const address = parseAddress(args[3] || '');
+        const port = parseInt(args[4], 10);
+        if (!address || isNaN(port)) {
+            return null;
+        }
+
+        return {
+            command: command,
+            filename: args[2],
+            address: address,
+            port: port,
+            size: command === 'SEND' ? parseInt(args[5], 10) || 0 : 0,
+            token: (command === 'SEND' ? args[6] : args[5]) || '',
+        };
+    }
+
+    if (command === 'RESUME' || command === 'ACCEPT') {
+        const port = parseInt(args[3], 10);
+        const position = parseInt(args[4], 10);
+        if (isNaN(port) || isNaN(position)) {
+            return null;
+        }
+
+        return {
+            command: command,
+            filename: args[2],
+            port: port,
+            position: position,
+            token: args[5] || '',
+        };
+    }
+
+    return null;
+}
+
+// IPv4 addresses are sent as a 32bit number, IPv6 addresses as they are
+function parseAddress(address) {
+    if (/^\d+$/.test(address)) {
+        const num = parseInt(address, 10);
+        return [
+            Math.floor(num / 16777216) % 256,
+            Math.floor(num / 65536) % 256,
+            Math.floor(num / 256) % 256,
+            num % 256,
+        ].join('.');
+    }
+
+    return net.isIP(address) ? address : '';
+}
+
+function formatAddress(address) {
+    if (!net.isIPv4(address)) {
+        return address;
+    }
+
+    return String(address.split('.').reduce((num, part) => num * 256 + parseInt(part, 10), 0));
+}
+
+function formatFilename(filename) {
+    return /\s/.test(filename) ? '"' + filename + '"' : filename;
+}
+
+// Never trust a path in a filename from another user
+function safeFilename(filename) {
+    return (filename || '').split(/[/\\]/).pop() || 'file';
+}
+
+// If a RESUME or ACCEPT is for a session, by its port or the token of a passive offer
+function matchesRequest(session, request) {
+    return request.port ?
+        session.port === request.port :
+        !!request.token && session.token === request.token;
+}
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * DCC needs direct TCP connections, which browsers don't have. This takes the place of
+ * dcc.js in the browser build.
+ */
+module.exports = class Dcc {
+    constructor() {
+        throw new Error('DCC is only available in nodejs');
+    }
+};
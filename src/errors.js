@@ -0,0 +1,67 @@
+'use strict';
+
+class IrcError extends Error {
+    constructor(message) {
+        super(message);
+
+        // Maintains proper stack trace for where our error was thrown (only available on V8)
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        }
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+}
+
+/**
+ * A FAIL standard reply from the server for a command we sent
+ */
+class StandardReplyError extends IrcError {
+    constructor(reply) {
+        super(reply.description || (reply.command + ' failed: ' + reply.code));
+
+        this.command = reply.command;
+        this.code = reply.code;
+        this.context = reply.context;
+        this.description = reply.description;
+        this.tags = reply.tags;
+    }
+}
+
+/**
+ * An error reply to a query, eg. no_such_nick for a WHOIS. `error` is the error name
+ * as used by 'irc error' events and `event` the event that carried it
+ */
+class ReplyError extends IrcError {
+    constructor(event) {
+        super(event.reason || event.error);
+
+        this.error = event.error;
+        this.event = event;
+    }
+}
+
+class TimeoutError extends IrcError {}
+
+class AbortError extends IrcError {
+    constructor(message) {
+        super(message || 'The operation was aborted');
+    }
+}
+
+class DisconnectedError extends IrcError {
+    constructor(message) {
+        super(message || 'Connection closed before a reply was received');
+    }
+}
+
+module.exports = {
+    IrcError,
+    StandardReplyError,
+    ReplyError,
+    TimeoutError,
+    AbortError,
+    DisconnectedError,
+};
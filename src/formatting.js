@@ -0,0 +1,585 @@
+'use strict';
+
+// Codes that turn a style on or off
+const TOGGLES = {
+    bold: '\x02',
+    italic: '\x1D',
+    underline: '\x1F',
+    strikethrough: '\x1E',
+    monospace: '\x11',
+    reverse: '\x16',
+};
+const TOGGLE_STYLES = Object.keys(TOGGLES).reduce((styles, name) => {
+    styles[TOGGLES[name]] = name;
+    return styles;
+}, {});
+const COLOUR = '\x03';
+const HEX_COLOUR = '\x04';
+const RESET = '\x0F';
+
+// The 99 IRC colours. 99 is the default colour
+const COLOURS = [
+    '#ffffff', '#000000', '#00007f', '#009300', '#ff0000', '#7f0000', '#9c009c', '#fc7f00',
+    '#ffff00', '#00fc00', '#009393', '#00ffff', '#0000fc', '#ff00ff', '#7f7f7f', '#d2d2d2',
+    '#470000', '#472100', '#474700', '#324700', '#004700', '#00472c', '#004747', '#002747',
+    '#000047', '#2e0047', '#470047', '#47002a', '#740000', '#743a00', '#747400', '#517400',
+    '#007400', '#007449', '#007474', '#004074', '#000074', '#4b0074', '#740074', '#740045',
+    '#b50000', '#b56300', '#b5b500', '#7db500', '#00b500', '#00b571', '#00b5b5', '#0063b5',
+    '#0000b5', '#7500b5', '#b500b5', '#b5006b', '#ff0000', '#ff8c00', '#ffff00', '#b2ff00',
+    '#00ff00', '#00ffa0', '#00ffff', '#008cff', '#0000ff', '#a500ff', '#ff00ff', '#ff0098',
+    '#ff5959', '#ffb459', '#ffff71', '#cfff60', '#6fff6f', '#65ffc9', '#6dffff', '#59b4ff',
+    '#5959ff', '#c459ff', '#ff66ff', '#ff59bc', '#ff9c9c', '#ffd39c', '#ffff9c', '#e2ff9c',
+    '#9cff9c', '#9cffdb', '#9cffff', '#9cd3ff', '#9c9cff', '#dc9cff', '#ff9cff', '#ff94d3',
+    '#000000', '#131313', '#282828', '#363636', '#4d4d4d', '#656565', '#818181', '#9f9f9f',
+    '#bcbcbc', '#e2e2e2', '#ffffff',
+];
+
+const COLOUR_NAMES = {
+    white: 0,
+    black: 1,
+    blue: 2,
+    green: 3,
+    red: 4,
+    brown: 5,
+    magenta: 6,
+    orange: 7,
+    yellow: 8,
+    lightgreen: 9,
+    cyan: 10,
+    lightcyan: 11,
+    lightblue: 12,
+    pink: 13,
+    grey: 14,
+    lightgrey: 15,
+};
+
+// Terminal colour codes for the first 16 IRC colours
+const ANSI_COLOURS = [97, 30, 34, 32, 91, 31, 35, 33, 93, 92, 36, 96, 94, 95, 90, 37];
+
+const ANSI_STYLES = {
+    bold: 1,
+    italic: 3,
+    underline: 4,
+    reverse: 7,
+    strikethrough: 9,
+};
+
+// Markdown markers, longest first so that ** isn't read as two *
+const MARKDOWN_STYLES = [
+    { style: 'bold', marker: '**' },
+    { style: 'underline', marker: '__' },
+    { style: 'strikethrough', marker: '~~' },
+    { style: 'italic', marker: '*' },
+    { style: 'italic', marker: '_' },
+];
+
+// Markdown markers written by toMarkdown(), in the order they are opened. Italics use _
+// so that they don't run into the ** of bold text
+const MARKDOWN_OUTPUT = MARKDOWN_STYLES
+    .filter(item => item.marker !== '*')
+    .concat({ style: 'monospace', marker: '`' });
+
+const Formatting = {
+    COLOURS: COLOURS,
+    COLOUR_NAMES: COLOUR_NAMES,
+    parse: parse,
+    render: render,
+    strip: strip,
+    toHtml: toHtml,
+    toAnsi: toAnsi,
+    toMarkdown: toMarkdown,
+    fromMarkdown: fromMarkdown,
+    builder: () => new FormattingBuilder(),
+};
+
+module.exports = Formatting;
+
+/**
+ * Split text with IRC formatting codes into spans of the same style. Each span has
+ * the text and bold, italic, underline, strikethrough, monospace and reverse flags.
+ * fg and bg are colour numbers 0-98, '#rrggbb' hex colours or null for the default
+ */
+function parse(text) {
+    const spans = [];
+    let style = emptyStyle();
+    let current = '';
+
+    const flush = () => {
+        if (!current) {
+            return;
+        }
+
+        const last = spans[spans.length - 1];
+        if (last && sameStyle(last, style)) {
+            last.text += current;
+        } else {
+            spans.push(Object.assign({ text: current }, style));
+        }
+        current = '';
+    };
+
+    text = String(text || '');
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        const toggle = TOGGLE_STYLES[c];
+
+        if (toggle) {
+            flush();
+            style[toggle] = !style[toggle];
+        } else if (c === RESET) {
+            flush();
+            style = emptyStyle();
+        } else if (c === COLOUR || c === HEX_COLOUR) {
+            flush();
+
+            const match = c === COLOUR ?
+                text.substr(i + 1).match(/^(\d{1,2})(?:,(\d{1,2}))?/) :
+                text.substr(i + 1).match(/^([0-9a-f]{6})(?:,([0-9a-f]{6}))?/i);
+            if (!match) {
+                style.fg = null;
+                style.bg = null;
+                continue;
+            }
+
+            const readColour = c === COLOUR ?
+                num => (parseInt(num, 10) === 99 ? null : parseInt(num, 10)) :
+                hex => '#' + hex.toLowerCase();
+            style.fg = readColour(match[1]);
+            if (typeof match[2] !== 'undefined') {
+                style.bg = readColour(match[2]);
+            }
+            i += match[0].length;
+        } else {
+            current += c;
+        }
+    }
+
+    flush();
+    return spans;
+}
+
+/**
+ * Build text with IRC formatting codes from spans, as returned by parse()
+ */
+function render(spans) {
+    let state = emptyStyle();
+    let out = '';
+
+    spans.forEach(span => {
+        if (!span.text) {
+            return;
+        }
+
+        const style = Object.assign(emptyStyle(), span);
+        style.fg = toColour(style.fg);
+        style.bg = toColour(style.bg);
+
+        Object.keys(TOGGLES).forEach(name => {
+            if (!!state[name] !== !!style[name]) {
+                out += TOGGLES[name];
+            }
+        });
+
+        if (state.fg !== style.fg || state.bg !== style.bg) {
+            out += colourCode(state, style);
+
+            // Keep text such as ",5" from being read as a background colour
+            if (style.bg === null && span.text[0] === ',') {
+                out += TOGGLES.bold + TOGGLES.bold;
+            }
+        }
+
+        out += span.text;
+        state = style;
+    });
+
+    return out;
+}
+
+/**
+ * Remove all formatting codes from text
+ */
+function strip(text) {
+    return parse(text).map(span => span.text).join('');
+}
+
+/**
+ * Convert formatted text to HTML with inline styles. Reversed text without colours
+ * uses options.fg and options.bg, the default colours the HTML is shown with
+ */
+function toHtml(text, options) {
+    options = Object.assign({ fg: '#000000', bg: '#ffffff' }, options);
+
+    return parse(text).map(span => {
+        let fg = span.fg === null ? null : colourHex(span.fg);
+        let bg = span.bg === null ? null : colourHex(span.bg);
+        if (span.reverse) {
+            [fg, bg] = [bg || options.bg, fg || options.fg];
+        }
+
+        const css = [];
+        const decorations = [];
+        if (span.bold) {
+            css.push('font-weight:bold');
+        }
+        if (span.italic) {
+            css.push('font-style:italic');
+        }
+        if (span.underline) {
+            decorations.push('underline');
+        }
+        if (span.strikethrough) {
+            decorations.push('line-through');
+        }
+        if (decorations.length) {
+            css.push('text-decoration:' + decorations.join(' '));
+        }
+        if (span.monospace) {
+            css.push('font-family:monospace');
+        }
+        if (fg) {
+            css.push('color:' + fg);
+        }
+        if (bg) {
+            css.push('background-color:' + bg);
+        }
+
+        const html = escapeHtml(span.text);
+        return css.length ? '<span style="' + css.join(';') + '">' + html + '</span>' : html;
+    }).join('');
+}
+
+/**
+ * Convert formatted text to ANSI escape codes for terminals. The first 16 colours use
+ * the terminal's own palette, others are sent as 24 bit colours
+ */
+function toAnsi(text) {
+    let styled = false;
+
+    const out = parse(text).map(span => {
+        const codes = Object.keys(ANSI_STYLES)
+            .filter(name => span[name])
+            .map(name => ANSI_STYLES[name]);
+
+        if (span.fg !== null) {
+            codes.push(ansiColour(span.fg, false));
+        }
+        if (span.bg !== null) {
+            codes.push(ansiColour(span.bg, true));
+        }
+
+        let prefix = '';
+        if (codes.length) {
+            prefix = '\x1b[0;' + codes.join(';') + 'm';
+        } else if (styled) {
+            prefix = '\x1b[0m';
+        }
+
+        styled = codes.length > 0;
+        return prefix + span.text;
+    }).join('');
+
+    return styled ? out + '\x1b[0m' : out;
+}
+
+/**
+ * Convert formatted text to Markdown with **bold**, _italic_, __underline__,
+ * ~~strikethrough~~ and `monospace`. Colours are dropped
+ */
+function toMarkdown(text) {
+    const open = [];
+    let out = '';
+
+    // Markers next to spaces aren't read as Markdown, so spaces are kept outside them
+    let spaces = '';
+
+    parse(text).forEach(span => {
+        const parts = span.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!parts[2]) {
+            spaces += span.text;
+            return;
+        }
+
+        const wanted = MARKDOWN_OUTPUT.filter(item => span[item.style]);
+
+        // Markers must be closed in reverse order, so close everything opened after
+        // the first style that has ended
+        const ended = open.findIndex(item => wanted.indexOf(item) === -1);
+        if (ended > -1) {
+            out += open.splice(ended).reverse().map(item => item.marker).join('');
+        }
+
+        out += spaces + parts[1];
+        wanted.forEach(item => {
+            if (open.indexOf(item) === -1) {
+                open.push(item);
+                out += item.marker;
+            }
+        });
+
+        out += span.monospace ? parts[2] : escapeMarkdown(parts[2]);
+        spaces = parts[3];
+    });
+
+    return out + open.reverse().map(item => item.marker).join('') + spaces;
+}
+
+/**
+ * Convert Markdown with **bold**, *italic* or _italic_, __underline__, ~~strikethrough~~
+ * and `monospace` to formatted text. \ escapes the next character
+ */
+function fromMarkdown(markdown) {
+    const spans = [];
+    const style = emptyStyle();
+    let current = '';
+
+    const flush = () => {
+        if (current) {
+            spans.push(Object.assign({}, style, { text: current }));
+            current = '';
+        }
+    };
+
+    markdown = String(markdown || '');
+    let i = 0;
+    while (i < markdown.length) {
+        const c = markdown[i];
+
+        if (c === '\\' && /[\\*_~`]/.test(markdown[i + 1] || '')) {
+            current += markdown[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (c === '`') {
+            const end = markdown.indexOf('`', i + 1);
+            if (end > i + 1) {
+                flush();
+                spans.push(Object.assign({}, style, { text: markdown.substring(i + 1, end), monospace: true }));
+                i = end + 1;
+                continue;
+            }
+        }
+
+        const item = MARKDOWN_STYLES.filter(s => markdown.substr(i, s.marker.length) === s.marker)[0];
+        if (item && (style[item.style] || canOpenMarkdown(markdown, i, item.marker))) {
+            flush();
+            style[item.style] = !style[item.style];
+            i += item.marker.length;
+            continue;
+        }
+
+        current += c;
+        i++;
+    }
+
+    flush();
+    return render(spans);
+}
+
+/**
+ * Composes formatted messages
+ *
+ * Usage:
+ *   const message = Formatting.builder()
+ *       .bold('Warning: ')
+ *       .colour('red', 'the server restarts in ')
+ *       .underline(Formatting.builder().text('5 ').italic('minutes'))
+ *       .toString();
+ *
+ * Content may be a string or another builder, whose styles are kept. Colours are
+ * numbers 0-98, names from COLOUR_NAMES or '#rrggbb' hex colours. colour(fg, content)
+ * leaves the background as it is
+ */
+class FormattingBuilder {
+    constructor() {
+        this.spans = [];
+    }
+
+    text(content) {
+        return this.add(content, {});
+    }
+
+    bold(content) {
+        return this.add(content, { bold: true });
+    }
+
+    italic(content) {
+        return this.add(content, { italic: true });
+    }
+
+    underline(content) {
+        return this.add(content, { underline: true });
+    }
+
+    strikethrough(content) {
+        return this.add(content, { strikethrough: true });
+    }
+
+    monospace(content) {
+        return this.add(content, { monospace: true });
+    }
+
+    reverse(content) {
+        return this.add(content, { reverse: true });
+    }
+
+    colour(fg, bg, content) {
+        if (typeof content === 'undefined') {
+            content = bg;
+            bg = null;
+        }
+
+        return this.add(content, { fg: toColour(fg), bg: toColour(bg) });
+    }
+
+    color(fg, bg, content) {
+        return this.colour(fg, bg, content);
+    }
+
+    add(content, style) {
+        const spans = content instanceof FormattingBuilder ?
+            content.spans :
+            [Object.assign({ text: String(content) }, emptyStyle())];
+
+        spans.forEach(span => {
+            const added = Object.assign({}, span);
+            Object.keys(TOGGLES).forEach(name => {
+                added[name] = !!(span[name] || style[name]);
+            });
+
+            // Colours of the content win over the colours around it
+            ['fg', 'bg'].forEach(name => {
+                added[name] = span[name] !== null || typeof style[name] === 'undefined' ?
+                    span[name] :
+                    style[name];
+            });
+
+            this.spans.push(added);
+        });
+
+        return this;
+    }
+
+    toString() {
+        return render(this.spans);
+    }
+}
+
+function emptyStyle() {
+    return {
+        bold: false,
+        italic: false,
+        underline: false,
+        strikethrough: false,
+        monospace: false,
+        reverse: false,
+        fg: null,
+        bg: null,
+    };
+}
+
+function sameStyle(a, b) {
+    return Object.keys(emptyStyle()).every(name => a[name] === b[name]);
+}
+
+// A colour number, '#rrggbb' hex colour or null from a number, name or hex colour
+function toColour(colour) {
+    if (colour === null || typeof colour === 'undefined' || colour === 99) {
+        return null;
+    }
+    if (typeof colour === 'number' && colour >= 0 && colour < COLOURS.length) {
+        return colour;
+    }
+    if (typeof colour === 'string' && typeof COLOUR_NAMES[colour.toLowerCase()] === 'number') {
+        return COLOUR_NAMES[colour.toLowerCase()];
+    }
+    if (typeof colour === 'string' && /^#[0-9a-f]{6}$/i.test(colour)) {
+        return colour.toLowerCase();
+    }
+
+    throw new TypeError('Unknown colour: ' + colour);
+}
+
+function colourHex(colour) {
+    return typeof colour === 'string' ? colour : COLOURS[colour];
+}
+
+// The closest of the 99 colours to a hex colour
+function nearestColour(hex) {
+    const rgb = hexRgb(hex);
+    let nearest = 0;
+    let nearest_distance = Infinity;
+
+    COLOURS.forEach((colour, idx) => {
+        const distance = hexRgb(colour).reduce((total, value, c) => total + Math.pow(value - rgb[c], 2), 0);
+        if (distance < nearest_distance) {
+            nearest = idx;
+            nearest_distance = distance;
+        }
+    });
+
+    return nearest;
+}
+
+function hexRgb(hex) {
+    return [1, 3, 5].map(idx => parseInt(hex.substr(idx, 2), 16));
+}
+
+// The codes to change colours from one style to another
+function colourCode(from, to) {
+    let code = '';
+
+    // Colour codes only change the background when one is given, so reset them first
+    if ((from.fg !== null && to.fg === null) || (from.bg !== null && to.bg === null)) {
+        code += COLOUR + '99,99';
+    }
+    if (to.fg === null && to.bg === null) {
+        return code;
+    }
+
+    if (typeof to.fg === 'string') {
+        return code + HEX_COLOUR + to.fg.substr(1) +
+            (to.bg !== null ? ',' + colourHex(to.bg).substr(1) : '');
+    }
+
+    const pad = num => (num < 10 ? '0' : '') + num;
+    const bg = typeof to.bg === 'string' ? nearestColour(to.bg) : to.bg;
+    return code + COLOUR + pad(to.fg === null ? 99 : to.fg) + (bg !== null ? ',' + pad(bg) : '');
+}
+
+function ansiColour(colour, background) {
+    if (typeof colour === 'number' && colour < ANSI_COLOURS.length) {
+        return ANSI_COLOURS[colour] + (background ? 10 : 0);
+    }
+
+    return (background ? '48;2;' : '38;2;') + hexRgb(colourHex(colour)).join(';');
+}
+
+// A marker only starts a style if it is followed by text and closed later on
+function canOpenMarkdown(markdown, idx, marker) {
+    const next = markdown[idx + marker.length] || '';
+    if (!next || /\s/.test(next)) {
+        return false;
+    }
+
+    // Underscores within words, such as snake_case, are left alone
+    if (marker[0] === '_' && /\w/.test(markdown[idx - 1] || '')) {
+        return false;
+    }
+
+    return markdown.indexOf(marker, idx + marker.length + 1) > -1;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/[\\*_~`]/g, '\\$&');
+}
@@ -3,6 +3,7 @@
 const Helper = {
     parseMask: parseMask,
     splitOnce: splitOnce,
+    parseStandardReply: parseStandardReply,
 };
 
 module.exports = Helper;
@@ -76,3 +77,21 @@ function splitOnce(input, separator) {
         input.slice(splitPos + separator.length),
     ];
 }
+
+/**
+ * Parse a FAIL, WARN or NOTE standard reply
+ * https://ircv3.net/specs/extensions/standard-replies
+ *   FAIL <command> <code> [<context>...] <description>
+ */
+function parseStandardReply(command) {
+    const params = command.params;
+
+    return {
+        type: command.command.toLowerCase(),
+        command: params[0] || '',
+        code: params[1] || '',
+        context: params.slice(2, -1),
+        description: params.length > 2 ? params[params.length - 1] : '',
+        tags: command.tags,
+    };
+}
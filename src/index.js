@@ -14,5 +14,11 @@ module.exports.ircLineParser = require('./irclineparser');
 module.exports.Message = require('./ircmessage');
 module.exports.MessageTags = require('./messagetags');
 module.exports.Helpers = require('./helpers');
+module.exports.Masks = require('./masks');
+module.exports.Formatting = require('./formatting');
+module.exports.Sts = require('./sts');
+module.exports.Errors = require('./errors');
 
 module.exports.Channel = require('./channel');
+module.exports.CommandRouter = require('./commandrouter');
+module.exports.Dcc = require('./dcc');
@@ -0,0 +1,195 @@
+'use strict';
+
+const NetworkInfo = require('./networkinfo');
+
+// Used to fold case when no network is given
+const default_network = new NetworkInfo();
+
+const Masks = {
+    toHostmask: toHostmask,
+    normalise: normalise,
+    match: match,
+    build: build,
+    parseExtBan: parseExtBan,
+    buildExtBan: buildExtBan,
+};
+
+module.exports = Masks;
+
+/**
+ * A nick!user@host string from a hostmask string or a user/event object with
+ * nick, ident or username, and hostname or host properties
+ */
+function toHostmask(user) {
+    if (typeof user === 'string') {
+        return user;
+    }
+
+    return (user.nick || '*') + '!' +
+        (user.ident || user.username || '*') + '@' +
+        (user.hostname || user.host || '*');
+}
+
+/**
+ * Expand a partial mask the way servers do. 'nick' becomes 'nick!*@*', 'user@host'
+ * becomes '*!user@host' and 'nick!user' becomes 'nick!user@*'
+ */
+function normalise(mask) {
+    const sep1 = mask.indexOf('!');
+    const sep2 = mask.indexOf('@', sep1 + 1);
+
+    if (sep1 === -1 && sep2 === -1) {
+        return mask.indexOf('.') > -1 || mask.indexOf(':') > -1 ?
+            '*!*@' + mask :
+            mask + '!*@*';
+    } else if (sep1 === -1) {
+        return '*!' + mask;
+    } else if (sep2 === -1) {
+        return mask + '@*';
+    }
+
+    return mask;
+}
+
+/**
+ * If a ban style mask, with * and ? wildcards, matches a user. Case is folded with the
+ * network's CASEMAPPING. Extbans never match
+ */
+function match(mask, user, network) {
+    network = network || default_network;
+
+    if (parseExtBan(mask, network)) {
+        return false;
+    }
+
+    const pattern = network.caseFold(normalise(mask))
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+
+    return new RegExp('^' + pattern + '$').test(network.caseFold(toHostmask(user)));
+}
+
+/**
+ * Build a ban mask for a user in one of these styles:
+ *   'host'         *!*@host.example.com
+ *   'user@host'    *!*ident@host.example.com
+ *   'domain'       *!*@*.example.com, or 1.2.3.* for IPs
+ *   'user@domain'  *!*ident@*.example.com
+ *   'nick'         nick!*@*
+ *   'full'         nick!ident@host.example.com
+ * Idents have any ~ prefix replaced with the * wildcard
+ */
+function build(user, style) {
+    const parts = typeof user === 'string' ?
+        hostmaskParts(user) :
+        {
+            nick: user.nick || '*',
+            user: user.ident || user.username || '*',
+            host: user.hostname || user.host || '*',
+        };
+    const ident = '*' + parts.user.replace(/^[~*]+/, '');
+
+    switch (style || 'host') {
+    case 'host':
+        return '*!*@' + parts.host;
+    case 'user@host':
+        return '*!' + ident + '@' + parts.host;
+    case 'domain':
+        return '*!*@' + wildcardDomain(parts.host);
+    case 'user@domain':
+        return '*!' + ident + '@' + wildcardDomain(parts.host);
+    case 'nick':
+        return parts.nick + '!*@*';
+    case 'full':
+        return parts.nick + '!' + parts.user + '@' + parts.host;
+    }
+
+    throw new TypeError('Unknown ban mask style: ' + style);
+}
+
+/**
+ * Parse an extban such as ~a:account or $~a:account using the network's EXTBAN
+ * prefix and types. Returns { type, value, negated } or null if it is not an extban
+ */
+function parseExtBan(mask, network) {
+    const extban = (network || default_network).extBan();
+    if (!extban || !mask) {
+        return null;
+    }
+
+    let rest = mask;
+    if (extban.prefix) {
+        if (rest.indexOf(extban.prefix) !== 0) {
+            return null;
+        }
+        rest = rest.substr(extban.prefix.length);
+    }
+
+    // Some servers negate extbans with a ~ after the prefix, eg. $~a
+    let negated = false;
+    if (rest[0] === '~' && extban.prefix !== '~') {
+        negated = true;
+        rest = rest.substr(1);
+    }
+
+    const type = rest[0];
+    if (!type || extban.types.indexOf(type) === -1) {
+        return null;
+    }
+
+    // The type is followed by :value, or nothing. Without a prefix the : is needed to
+    // tell R:account apart from a nick of R
+    if (rest[1] !== ':' && (rest.length > 1 || !extban.prefix)) {
+        return null;
+    }
+
+    return {
+        type: type,
+        value: rest.length > 1 ? rest.substr(2) : '',
+        negated: negated,
+    };
+}
+
+/**
+ * Build an extban such as ~a:account. Returns null if the network doesn't support
+ * the type
+ */
+function buildExtBan(type, value, network) {
+    const extban = (network || default_network).extBan();
+    if (!extban || extban.types.indexOf(type) === -1) {
+        return null;
+    }
+
+    return extban.prefix + type + (value ? ':' + value : '');
+}
+
+function hostmaskParts(hostmask) {
+    const mask = normalise(hostmask);
+    const sep1 = mask.indexOf('!');
+    const sep2 = mask.indexOf('@', sep1 + 1);
+
+    return {
+        nick: mask.substring(0, sep1),
+        user: mask.substring(sep1 + 1, sep2),
+        host: mask.substring(sep2 + 1),
+    };
+}
+
+// Replace the most specific part of a host with a wildcard
+function wildcardDomain(host) {
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+        return host.replace(/\.\d+$/, '.*');
+    }
+    if (host.indexOf(':') > -1) {
+        // IPv6, keep the first 4 groups (a /64)
+        return host.split(':').slice(0, 4).join(':') + ':*';
+    }
+
+    const labels = host.split('.');
+    if (labels.length <= 2) {
+        return host;
+    }
+
+    return '*.' + labels.slice(1).join('.');
+}
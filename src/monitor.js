@@ -0,0 +1,326 @@
+'use strict';
+
+// Keep MONITOR, WATCH and ISON lines well within the 512 byte line limit
+const MAX_NICKS_BYTES = 400;
+
+/**
+ * Presence tracking for a list of nicks
+ *
+ * Uses MONITOR if the server supports it, then WATCH, and otherwise polls with ISON
+ * every `monitor_ison_interval` seconds. 'user online' and 'user offline' events are
+ * emitted as nicks change state. The list is kept between connections and sent again
+ * once the server has sent its ISUPPORT options, at the end of the MOTD.
+ */
+module.exports = class Monitor {
+    constructor(client) {
+        this.client = client;
+
+        // Nicks being tracked, keyed by their case folded nick
+        this.nicks = Object.create(null);
+
+        // Nicks the server is watching for us with MONITOR or WATCH
+        this.watching = Object.create(null);
+
+        // Nicks the server refused to watch as its list was full. They are not sent again
+        // until nicks are removed or the limit changes
+        this.refused = Object.create(null);
+        this.synced_limit = 0;
+
+        // The ISON poll in progress, and the timer until the next
+        this.ison = null;
+        this.ison_timer = null;
+
+        // The type the server side list was last synced with. null until the MOTD has
+        // ended, as the server may not have told us what it supports before then
+        this.synced_type = null;
+
+        this.bindEvents();
+    }
+
+    add(nicks) {
+        toNickList(nicks).forEach(nick => {
+            const key = this.client.network.caseFold(nick);
+            if (!this.nicks[key]) {
+                this.nicks[key] = { nick: nick, online: null };
+            }
+        });
+
+        this.sync();
+    }
+
+    remove(nicks) {
+        toNickList(nicks).forEach(nick => {
+            delete this.nicks[this.client.network.caseFold(nick)];
+        });
+
+        this.refused = Object.create(null);
+        this.sync();
+    }
+
+    clear() {
+        this.nicks = Object.create(null);
+
+        const type = this.synced_type;
+        if (type && type !== 'ison' && Object.keys(this.watching).length) {
+            this.client.raw(type === 'monitor' ? 'MONITOR' : 'WATCH', 'C');
+        }
+        this.watching = Object.create(null);
+        this.refused = Object.create(null);
+
+        this.sync();
+    }
+
+    list() {
+        return Object.keys(this.nicks).map(key => this.nicks[key].nick);
+    }
+
+    /**
+     * 'monitor', 'watch' or 'ison' depending on what the server supports
+     */
+    type() {
+        const network = this.client.network;
+
+        if (typeof network.supports('MONITOR') !== 'undefined') {
+            return 'monitor';
+        }
+        if (typeof network.supports('WATCH') !== 'undefined') {
+            return 'watch';
+        }
+
+        return 'ison';
+    }
+
+    /**
+     * The maximum number of nicks the server will watch for us, 0 if unlimited
+     */
+    limit() {
+        const type = this.type();
+        if (type === 'ison') {
+            return 0;
+        }
+
+        return parseInt(this.client.network.supports(type.toUpperCase()), 10) || 0;
+    }
+
+    /**
+     * Bring the server side list in line with our own
+     */
+    sync() {
+        if (!this.synced_type) {
+            return;
+        }
+
+        const type = this.type();
+        if (type !== this.synced_type) {
+            this.stopIsonPolling();
+            this.watching = Object.create(null);
+            this.synced_type = type;
+        }
+
+        const limit = this.limit();
+        if (limit !== this.synced_limit) {
+            this.refused = Object.create(null);
+            this.synced_limit = limit;
+        }
+
+        if (type === 'ison') {
+            this.restartIsonPolling();
+            return;
+        }
+
+        const remove = Object.keys(this.watching).filter(key => !this.nicks[key]);
+        remove.forEach(key => {
+            delete this.watching[key];
+        });
+
+        let add = Object.keys(this.nicks).filter(key => !this.watching[key] && !this.refused[key]);
+        if (limit) {
+            add = add.slice(0, Math.max(0, limit - Object.keys(this.watching).length));
+        }
+        add.forEach(key => {
+            this.watching[key] = true;
+        });
+        add = add.map(key => this.nicks[key].nick);
+
+        if (type === 'monitor') {
+            chunkNicks(remove, 1).forEach(chunk => this.client.raw('MONITOR', '-', chunk.join(',')));
+            chunkNicks(add, 1).forEach(chunk => this.client.raw('MONITOR', '+', chunk.join(',')));
+        } else {
+            chunkNicks(remove, 2).forEach(chunk => this.client.raw(['WATCH'].concat(chunk.map(nick => '-' + nick))));
+            chunkNicks(add, 2).forEach(chunk => this.client.raw(['WATCH'].concat(chunk.map(nick => '+' + nick))));
+        }
+    }
+
+    restartIsonPolling() {
+        this.client.connection.clearTimeout(this.ison_timer);
+        this.ison_timer = null;
+
+        if (this.ison) {
+            // Poll again with the new list once the current poll completes
+            this.ison.repoll = true;
+        } else {
+            this.pollIson();
+        }
+    }
+
+    stopIsonPolling() {
+        this.client.connection.clearTimeout(this.ison_timer);
+        this.ison_timer = null;
+        this.ison = null;
+    }
+
+    pollIson() {
+        const keys = Object.keys(this.nicks);
+        if (!keys.length) {
+            return;
+        }
+
+        const chunks = chunkNicks(keys.map(key => this.nicks[key].nick), 1);
+        this.ison = {
+            pending: chunks.length,
+            queried: keys,
+            online: Object.create(null),
+            repoll: false,
+        };
+
+        chunks.forEach(chunk => this.client.raw(['ISON'].concat(chunk)));
+    }
+
+    isonReply(nicks) {
+        const ison = this.ison;
+
+        nicks.forEach(nick => {
+            if (nick) {
+                ison.online[this.client.network.caseFold(nick)] = nick;
+            }
+        });
+
+        if (--ison.pending > 0) {
+            return;
+        }
+
+        this.ison = null;
+
+        const commands = this.client.command_handler;
+        ison.queried.forEach(key => {
+            const entry = this.nicks[key];
+            if (!entry) {
+                return;
+            }
+
+            const online = !!ison.online[key];
+            if (entry.online !== online) {
+                commands.emit(online ? 'user online' : 'user offline', {
+                    nick: ison.online[key] || entry.nick,
+                    tags: {},
+                });
+            }
+        });
+
+        if (ison.repoll) {
+            this.pollIson();
+            return;
+        }
+
+        const interval = this.client.options.monitor_ison_interval;
+        if (interval > 0) {
+            this.ison_timer = this.client.connection.setTimeout(() => {
+                this.ison_timer = null;
+                this.pollIson();
+            }, interval * 1000);
+        }
+    }
+
+    bindEvents() {
+        const client = this.client;
+        const commands = client.command_handler;
+
+        commands.on('user online', (event) => {
+            const entry = this.nicks[client.network.caseFold(event.nick)];
+            if (entry) {
+                entry.online = true;
+            }
+        });
+
+        commands.on('user offline', (event) => {
+            const entry = this.nicks[client.network.caseFold(event.nick)];
+            if (entry) {
+                entry.online = false;
+            }
+        });
+
+        commands.on('users online', (event) => {
+            if (this.ison) {
+                this.isonReply(event.nicks);
+            }
+        });
+
+        // The server refused to watch these nicks
+        commands.on('monitor list full', (event) => {
+            event.nicks.forEach(nick => {
+                const key = client.network.caseFold(nick);
+                delete this.watching[key];
+                this.refused[key] = true;
+            });
+        });
+
+        // ISUPPORT arrives after 'registered', so wait until the end of the MOTD
+        commands.on('motd', () => {
+            if (client.connection.registered && !this.synced_type) {
+                this.synced_type = this.type();
+                this.sync();
+            }
+        });
+
+        // MONITOR or WATCH support, or a new limit, may be announced later on
+        commands.on('server options', () => {
+            if (this.synced_type && (this.type() !== this.synced_type || this.limit() !== this.synced_limit)) {
+                this.sync();
+            }
+        });
+
+        client.connection.on('socket close', () => {
+            // Timers are cleared by the connection when the socket closes
+            this.watching = Object.create(null);
+            this.refused = Object.create(null);
+            this.ison = null;
+            this.ison_timer = null;
+            this.synced_type = null;
+
+            Object.keys(this.nicks).forEach(key => {
+                this.nicks[key].online = null;
+            });
+        });
+    }
+};
+
+function toNickList(nicks) {
+    return [].concat(nicks || [])
+        .reduce((list, nick) => list.concat(String(nick).split(/[ ,]+/)), [])
+        .filter(nick => nick);
+}
+
+// Split nicks into groups that fit on a line, each nick taking its length plus
+// extra_bytes for its separator or prefix
+function chunkNicks(nicks, extra_bytes) {
+    const chunks = [];
+    let chunk = [];
+    let bytes = 0;
+
+    nicks.forEach(nick => {
+        if (chunk.length && bytes + nick.length + extra_bytes > MAX_NICKS_BYTES) {
+            chunks.push(chunk);
+            chunk = [];
+            bytes = 0;
+        }
+
+        chunk.push(nick);
+        bytes += nick.length + extra_bytes;
+    });
+
+    if (chunk.length) {
+        chunks.push(chunk);
+    }
+
+    return chunks;
+}
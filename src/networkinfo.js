@@ -6,6 +6,8 @@ const _ = {
 
 module.exports = NetworkInfo;
 
+const RFC1459_FOLDS = { '[': '{', ']': '}', '\\': '|', '^': '~' };
+
 function NetworkInfo() {
     // Name of the network
     this.name = 'Network';
@@ -27,6 +29,10 @@ function NetworkInfo() {
         ]
     };
 
+    // Set once the MOTD has ended, by when the ISUPPORT options sent while registering
+    // have all been received
+    this.options_received = false;
+
     this.time_offsets = [];
     this.time_offset = 0;
 
@@ -68,6 +74,79 @@ function NetworkInfo() {
         return this.options[support_name.toUpperCase()];
     };
 
+    /**
+     * Typed accessors for ISUPPORT limits. Each returns undefined if the server didn't
+     * give a limit, or Infinity if it has no limit
+     */
+
+    // The most targets a command may be given at once, from TARGMAX or MAXTARGETS
+    this.targMax = function targMax(command) {
+        const targmax = this.supports('TARGMAX');
+        command = command.toUpperCase();
+
+        if (targmax && typeof targmax[command] !== 'undefined') {
+            return targmax[command];
+        }
+
+        const maxtargets = this.supports('MAXTARGETS');
+        if (typeof maxtargets === 'number' && (command === 'PRIVMSG' || command === 'NOTICE')) {
+            return maxtargets;
+        }
+    };
+
+    // The most entries a list mode such as 'b' may have, from MAXLIST or MAXBANS
+    this.maxList = function maxList(mode) {
+        const limit = _.find(this.supports('MAXLIST'), list => list.chars.indexOf(mode) > -1);
+        if (limit) {
+            return limit.limit;
+        }
+
+        const maxbans = this.supports('MAXBANS');
+        if (typeof maxbans === 'number') {
+            return maxbans;
+        }
+    };
+
+    // The most channels of a type, eg. '#', we may join from CHANLIMIT or MAXCHANNELS
+    this.chanLimit = function chanLimit(prefix) {
+        const limit = _.find(this.supports('CHANLIMIT'), list => list.chars.indexOf(prefix) > -1);
+        if (limit) {
+            return limit.limit;
+        }
+
+        const maxchannels = this.supports('MAXCHANNELS');
+        if (typeof maxchannels === 'number') {
+            return maxchannels;
+        }
+    };
+
+    // The most modes with a parameter that may be set in one MODE command
+    this.maxModes = function maxModes() {
+        const modes = this.supports('MODES');
+        if (modes === true) {
+            return Infinity;
+        }
+
+        return typeof modes === 'number' ? modes : 3;
+    };
+
+    // The most bytes allowed in a line, including the trailing CR LF
+    this.lineLength = function lineLength() {
+        const linelen = this.supports('LINELEN');
+        return typeof linelen === 'number' ? linelen : 512;
+    };
+
+    // A numeric ISUPPORT limit such as NICKLEN or TOPICLEN
+    this.limit = function limit(name) {
+        const value = this.supports(name);
+        return typeof value === 'number' ? value : undefined;
+    };
+
+    // The EXTBAN prefix and types as { prefix: '~', types: 'qjncrRa' }, or null if unsupported
+    this.extBan = function extBan() {
+        return this.supports('EXTBAN') || null;
+    };
+
     this.isChannelName = function isChannelName(channel_name) {
         if (typeof channel_name !== 'string' || channel_name === '') {
             return false;
@@ -76,6 +155,35 @@ function NetworkInfo() {
         return chanPrefixes.indexOf(channel_name[0]) > -1;
     };
 
+    // Lowercase a nick or channel name as the network's CASEMAPPING does
+    this.caseFold = function caseFold(name) {
+        const casemapping = String(this.supports('CASEMAPPING') || 'rfc1459').toLowerCase();
+        name = String(name);
+
+        if (casemapping === 'rfc7613') {
+            // PRECIS: fold full width characters, lowercase, then normalise
+            return name.normalize('NFKC').toLowerCase().normalize('NFC');
+        }
+
+        let folded = name.replace(/[A-Z]/g, c => c.toLowerCase());
+        if (casemapping === 'rfc1459') {
+            folded = folded.replace(/[[\]\\^]/g, c => RFC1459_FOLDS[c]);
+        } else if (casemapping === 'strict-rfc1459') {
+            folded = folded.replace(/[[\]\\]/g, c => RFC1459_FOLDS[c]);
+        }
+
+        return folded;
+    };
+
+    // If two nicks or channel names refer to the same target on this network
+    this.isSameTarget = function isSameTarget(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string') {
+            return false;
+        }
+
+        return this.caseFold(a) === this.caseFold(b);
+    };
+
     // Support '@#channel' and '++channel' formats
     this.extractTargetGroup = function extractTargetGroup(target) {
         const statusMsg = this.supports('STATUSMSG');
@@ -107,8 +215,19 @@ function NetworkInfo() {
         negotiating: false,
         requested: [],
         enabled: [],
+        // Capabilities the server has advertised, mapped to their value (or '' if they have none)
+        available: Object.create(null),
         isEnabled: function(cap_name) {
             return this.enabled.indexOf(cap_name) > -1;
+        },
+        isAvailable: function(cap_name) {
+            return Object.prototype.hasOwnProperty.call(this.available, cap_name);
+        },
+        // The advertised value of a capability, eg. 'PLAIN,EXTERNAL' for sasl=PLAIN,EXTERNAL
+        value: function(cap_name) {
+            return this.isAvailable(cap_name) ?
+                this.available[cap_name] :
+                undefined;
         }
     };
 }
@@ -0,0 +1,134 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Each iteration is a round of PBKDF2 run synchronously, so don't let a server make us
+// block for as long as it likes
+const MAX_ITERATIONS = 100000;
+
+/**
+ * SCRAM client implementation (RFC 5802 / RFC 7677) used for the
+ * SCRAM-SHA-1 and SCRAM-SHA-256 SASL mechanisms.
+ *
+ * Usage:
+ *   var scram = new Scram('sha256', 'account', 'password');
+ *   write(scram.clientFirst());
+ *   write(scram.clientFinal(server_first));
+ *   scram.verifyServerFinal(server_final); // throws if the server could not be verified
+ */
+module.exports = class Scram {
+    constructor(hash, account, password, nonce) {
+        this.hash = hash;
+        this.account = account;
+        this.password = password;
+        this.nonce = nonce || crypto.randomBytes(18).toString('base64');
+
+        this.client_first_bare = '';
+        this.server_signature = null;
+    }
+
+    static mechanismHash(mechanism) {
+        const hashes = {
+            'SCRAM-SHA-1': 'sha1',
+            'SCRAM-SHA-256': 'sha256',
+        };
+
+        return hashes[String(mechanism).toUpperCase()] || null;
+    }
+
+    clientFirst() {
+        this.client_first_bare = 'n=' + escapeName(this.account) + ',r=' + this.nonce;
+        return 'n,,' + this.client_first_bare;
+    }
+
+    clientFinal(server_first) {
+        const attrs = parseAttributes(server_first);
+
+        if (attrs.e) {
+            throw new Error('SCRAM server error: ' + attrs.e);
+        }
+        if (!attrs.r || !attrs.s || !attrs.i) {
+            throw new Error('SCRAM server-first-message is malformed');
+        }
+        if (attrs.r.indexOf(this.nonce) !== 0) {
+            throw new Error('SCRAM server nonce does not start with the client nonce');
+        }
+
+        const iterations = parseInt(attrs.i, 10);
+        if (!(iterations > 0)) {
+            throw new Error('SCRAM iteration count is invalid');
+        }
+        if (iterations > MAX_ITERATIONS) {
+            throw new Error('SCRAM iteration count of ' + iterations + ' is too high');
+        }
+
+        const key_length = crypto.createHash(this.hash).digest().length;
+        const salted_password = crypto.pbkdf2Sync(
+            Buffer.from(this.password, 'utf8'),
+            Buffer.from(attrs.s, 'base64'),
+            iterations,
+            key_length,
+            this.hash
+        );
+
+        const client_key = this.hmac(salted_password, 'Client Key');
+        const stored_key = crypto.createHash(this.hash).update(client_key).digest();
+        const server_key = this.hmac(salted_password, 'Server Key');
+
+        // The channel binding is the base64 encoded gs2 header 'n,,'
+        const without_proof = 'c=biws,r=' + attrs.r;
+        const auth_message = this.client_first_bare + ',' + server_first + ',' + without_proof;
+
+        const client_signature = this.hmac(stored_key, auth_message);
+        const client_proof = Buffer.alloc(client_key.length);
+        for (let i = 0; i < client_key.length; i++) {
+            client_proof[i] = client_key[i] ^ client_signature[i];
+        }
+
+        this.server_signature = this.hmac(server_key, auth_message);
+
+        return without_proof + ',p=' + client_proof.toString('base64');
+    }
+
+    verifyServerFinal(server_final) {
+        const attrs = parseAttributes(server_final);
+
+        if (attrs.e) {
+            throw new Error('SCRAM server error: ' + attrs.e);
+        }
+        if (!this.server_signature || !attrs.v) {
+            throw new Error('SCRAM server-final-message is malformed');
+        }
+
+        const signature = Buffer.from(attrs.v, 'base64');
+        if (
+            signature.length !== this.server_signature.length ||
+            !crypto.timingSafeEqual(signature, this.server_signature)
+        ) {
+            throw new Error('SCRAM server signature does not match');
+        }
+
+        return true;
+    }
+
+    hmac(key, data) {
+        return crypto.createHmac(this.hash, key).update(data).digest();
+    }
+};
+
+function escapeName(name) {
+    return String(name).replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+function parseAttributes(message) {
+    const attrs = Object.create(null);
+
+    String(message).split(',').forEach(function(part) {
+        const sep = part.indexOf('=');
+        if (sep > 0) {
+            attrs[part.substr(0, sep)] = part.substr(sep + 1);
+        }
+    });
+
+    return attrs;
+}
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * SCRAM needs the nodejs crypto module, which is too large to bundle for browsers. This
+ * takes the place of scram.js in the browser build so SCRAM mechanisms are never used.
+ */
+module.exports = class Scram {
+    static mechanismHash() {
+        return null;
+    }
+};
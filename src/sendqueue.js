@@ -0,0 +1,256 @@
+'use strict';
+
+const _ = {
+    pull: require('lodash/pull'),
+};
+const ircLineParser = require('./irclineparser');
+
+// Lines are sent from the first lane with anything queued
+const LANES = ['high', 'normal', 'low'];
+
+// Commands that keep the connection alive or close it, and registration
+const HIGH_PRIORITY = ['PING', 'PONG', 'QUIT', 'CAP', 'AUTHENTICATE', 'PASS', 'USER', 'NICK', 'WEBIRC'];
+
+// Bulk messages to channels and users
+const LOW_PRIORITY = ['PRIVMSG', 'NOTICE', 'TAGMSG'];
+
+/**
+ * Outgoing flood control for a Connection
+ *
+ * Lines are sent as long as there are tokens in a bucket of `flood_protection_burst`
+ * tokens, refilling at one token every `flood_protection_interval` seconds. Once empty,
+ * lines are queued in priority lanes and then round-robin between their targets so that
+ * a busy target doesn't hold up the others. Lines are sent straight away when the
+ * `flood_protection` option is off.
+ */
+module.exports = class SendQueue {
+    constructor(connection) {
+        this.connection = connection;
+
+        this.lanes = Object.create(null);
+        LANES.forEach(lane => {
+            this.lanes[lane] = { targets: [], queues: Object.create(null) };
+        });
+
+        this.tokens = 0;
+        this.last_refill = 0;
+        this.timer = null;
+        this.reset();
+    }
+
+    get length() {
+        return LANES.reduce((length, lane) => {
+            const queues = this.lanes[lane].queues;
+            return Object.keys(queues).reduce((total, target) => total + queues[target].length, length);
+        }, 0);
+    }
+
+    enabled() {
+        return !!this.connection.options.flood_protection;
+    }
+
+    burst() {
+        return Math.max(1, parseInt(this.connection.options.flood_protection_burst, 10) || 5);
+    }
+
+    interval() {
+        const interval = parseFloat(this.connection.options.flood_protection_interval);
+        return (isNaN(interval) ? 2 : Math.max(0, interval)) * 1000;
+    }
+
+    /**
+     * Queue a line to be sent. options.priority ('high', 'normal' or 'low') and
+     * options.target override those worked out from the line itself.
+     * Returns a QueuedLine that may be cancelled until it has been sent
+     */
+    push(line, callback, options) {
+        options = options || {};
+
+        const queued = new QueuedLine(this, line, callback);
+        if (!this.enabled()) {
+            this.send(queued);
+            return queued;
+        }
+
+        const message = ircLineParser(line);
+        queued.priority = LANES.indexOf(options.priority) > -1 ?
+            options.priority :
+            linePriority(message);
+        queued.target = typeof options.target === 'string' ?
+            options.target :
+            lineTarget(message);
+
+        const lane = this.lanes[queued.priority];
+        if (!lane.queues[queued.target]) {
+            lane.queues[queued.target] = [];
+            lane.targets.push(queued.target);
+        }
+        lane.queues[queued.target].push(queued);
+
+        this.process();
+        return queued;
+    }
+
+    remove(queued) {
+        const lane = this.lanes[queued.priority];
+        const queue = lane && lane.queues[queued.target];
+        if (!queue || queue.indexOf(queued) === -1) {
+            return false;
+        }
+
+        _.pull(queue, queued);
+        if (!queue.length) {
+            delete lane.queues[queued.target];
+            _.pull(lane.targets, queued.target);
+        }
+
+        return true;
+    }
+
+    // Take the next line to be sent, rotating the lane's targets
+    shift() {
+        for (let i = 0; i < LANES.length; i++) {
+            const lane = this.lanes[LANES[i]];
+            if (!lane.targets.length) {
+                continue;
+            }
+
+            const target = lane.targets.shift();
+            const queue = lane.queues[target];
+            const queued = queue.shift();
+            if (queue.length) {
+                lane.targets.push(target);
+            } else {
+                delete lane.queues[target];
+            }
+
+            return queued;
+        }
+
+        return null;
+    }
+
+    refill() {
+        const now = Date.now();
+        const interval = this.interval();
+        const burst = this.burst();
+
+        if (interval === 0) {
+            this.tokens = burst;
+        } else if (this.tokens < burst) {
+            const refilled = Math.floor((now - this.last_refill) / interval);
+            if (refilled > 0) {
+                this.tokens = Math.min(burst, this.tokens + refilled);
+                this.last_refill += refilled * interval;
+            }
+        }
+
+        if (this.tokens >= burst) {
+            this.last_refill = now;
+        }
+    }
+
+    process() {
+        this.refill();
+
+        while (this.tokens >= 1 && this.length) {
+            this.tokens--;
+            this.send(this.shift());
+        }
+
+        if (this.length && !this.timer) {
+            const wait = Math.max(1, this.last_refill + this.interval() - Date.now());
+            this.timer = this.connection.setTimeout(() => {
+                this.timer = null;
+                this.process();
+            }, wait);
+        }
+    }
+
+    send(queued) {
+        queued.sent = true;
+        this.connection.writeLine(queued.line, queued.callback);
+    }
+
+    /**
+     * Drop everything queued and start with a full bucket, eg. for a new connection.
+     * Callbacks of dropped lines are still called
+     */
+    reset() {
+        LANES.forEach(lane => {
+            const queues = this.lanes[lane].queues;
+            Object.keys(queues).forEach(target => {
+                queues[target].forEach(queued => {
+                    if (queued.callback) {
+                        setTimeout(queued.callback, 0);
+                    }
+                });
+            });
+
+            this.lanes[lane] = { targets: [], queues: Object.create(null) };
+        });
+
+        this.connection.clearTimeout(this.timer);
+        this.timer = null;
+        this.tokens = this.burst();
+        this.last_refill = Date.now();
+    }
+};
+
+class QueuedLine {
+    constructor(queue, line, callback) {
+        this.queue = queue;
+        this.line = line;
+        this.callback = callback;
+        this.priority = 'normal';
+        this.target = '';
+        this.sent = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Stop the line from being sent. Returns false if it has already been sent
+     */
+    cancel() {
+        if (this.sent || this.cancelled) {
+            return false;
+        }
+
+        this.cancelled = this.queue.remove(this);
+        return this.cancelled;
+    }
+}
+
+function linePriority(message) {
+    const command = message ? message.command : '';
+    if (command === 'BATCH' || (message && message.tags && message.tags.batch)) {
+        // Keep batches in the same lane as the messages within them
+        return 'low';
+    }
+    if (HIGH_PRIORITY.indexOf(command) > -1) {
+        return 'high';
+    }
+    if (LOW_PRIORITY.indexOf(command) > -1) {
+        return 'low';
+    }
+
+    return 'normal';
+}
+
+// Lines are rotated by who they are sent to. Lines in a batch stay together
+function lineTarget(message) {
+    if (!message) {
+        return '';
+    }
+    if (message.command === 'BATCH') {
+        return 'batch ' + (message.params[0] || '').substr(1);
+    }
+    if (message.tags && message.tags.batch) {
+        return 'batch ' + message.tags.batch;
+    }
+    if (LOW_PRIORITY.indexOf(message.command) > -1) {
+        return message.params[0] || '';
+    }
+
+    return '';
+}
@@ -0,0 +1,324 @@
+'use strict';
+
+const _ = {
+    find: require('lodash/find'),
+    pull: require('lodash/pull'),
+};
+const User = require('./user');
+
+/**
+ * Keeps client.channels and client.users up to date from IRC events. Enabled with the
+ * enable_state_tracking client option.
+ *
+ * Users are shared between channels so any change to a user, such as their nick or away
+ * status, is seen from every channel they are in. Users are forgotten once they are no
+ * longer in any channel we are in.
+ */
+module.exports = class StateTracker {
+    constructor(client) {
+        this.client = client;
+
+        const fold = name => client.network.caseFold(name);
+        this.channels = new CaseMap(fold);
+        this.users = new CaseMap(fold);
+
+        this.bindEvents();
+    }
+
+    isSelf(nick) {
+        return this.client.network.isSameTarget(nick, this.client.user.nick);
+    }
+
+    getOrCreateUser(nick) {
+        let user = this.users.get(nick);
+        if (!user) {
+            user = new User({ nick: nick });
+            user.account = false;
+            user.away_message = '';
+            this.users.set(nick, user);
+        }
+
+        return user;
+    }
+
+    // Forget users that are no longer in any of our channels
+    removeUserIfUnseen(nick) {
+        for (const channel of this.channels.values()) {
+            if (channel.members.has(nick)) {
+                return;
+            }
+        }
+
+        this.users.delete(nick);
+    }
+
+    removeMember(channel_name, nick) {
+        if (this.isSelf(nick)) {
+            const channel = this.channels.get(channel_name);
+            this.channels.delete(channel_name);
+            if (channel) {
+                channel.members.forEach(member => this.removeUserIfUnseen(member.user.nick));
+            }
+            return;
+        }
+
+        const channel = this.channels.get(channel_name);
+        if (channel) {
+            channel.members.delete(nick);
+            this.removeUserIfUnseen(nick);
+        }
+    }
+
+    bindEvents() {
+        const client = this.client;
+        const commands = client.command_handler;
+
+        commands.on('join', (event) => {
+            if (!event.channel) {
+                return;
+            }
+
+            let channel = this.channels.get(event.channel);
+            if (this.isSelf(event.nick) || !channel) {
+                channel = new ChannelState(event.channel, this.channels.fold);
+                this.channels.set(event.channel, channel);
+            }
+
+            const user = this.getOrCreateUser(event.nick);
+            updateUser(user, {
+                ident: event.ident,
+                hostname: event.hostname,
+                gecos: event.gecos,
+                account: event.account,
+            });
+
+            channel.members.set(event.nick, { user: user, modes: [] });
+        });
+
+        commands.on('part', (event) => {
+            this.removeMember(event.channel, event.nick);
+        });
+
+        commands.on('kick', (event) => {
+            this.removeMember(event.channel, event.kicked);
+        });
+
+        commands.on('quit', (event) => {
+            this.channels.forEach(channel => channel.members.delete(event.nick));
+            this.users.delete(event.nick);
+        });
+
+        commands.on('nick', (event) => {
+            const user = this.users.get(event.nick);
+            if (!user) {
+                return;
+            }
+
+            this.users.delete(event.nick);
+            user.nick = event.new_nick;
+            this.users.set(event.new_nick, user);
+
+            this.channels.forEach(channel => {
+                const member = channel.members.get(event.nick);
+                if (member) {
+                    channel.members.delete(event.nick);
+                    channel.members.set(event.new_nick, member);
+                }
+            });
+        });
+
+        commands.on('userlist', (event) => {
+            const channel = this.channels.get(event.channel);
+            if (!channel) {
+                return;
+            }
+
+            channel.members.clear();
+            event.users.forEach(u => {
+                const user = this.getOrCreateUser(u.nick);
+                updateUser(user, u);
+                channel.members.set(u.nick, { user: user, modes: u.modes.slice() });
+            });
+        });
+
+        commands.on('mode', (event) => {
+            const channel = this.channels.get(event.target);
+            if (!channel) {
+                return;
+            }
+
+            event.modes.forEach(mode => {
+                const is_prefix = _.find(client.network.options.PREFIX, { mode: mode.mode[1] });
+                const member = is_prefix && mode.param && channel.members.get(mode.param);
+                if (!member) {
+                    return;
+                }
+
+                if (mode.mode[0] === '+') {
+                    if (member.modes.indexOf(mode.mode[1]) === -1) {
+                        member.modes.push(mode.mode[1]);
+                    }
+                } else {
+                    _.pull(member.modes, mode.mode[1]);
+                }
+            });
+        });
+
+        commands.on('topic', (event) => {
+            const channel = this.channels.get(event.channel);
+            if (channel) {
+                channel.topic = event.topic;
+                if (event.nick) {
+                    channel.topic_set_by = event.nick;
+                    channel.topic_set_at = event.time || Date.now();
+                }
+            }
+        });
+
+        commands.on('topicsetby', (event) => {
+            const channel = this.channels.get(event.channel);
+            if (channel) {
+                channel.topic_set_by = event.nick;
+                channel.topic_set_at = parseInt(event.when, 10) * 1000 || null;
+            }
+        });
+
+        commands.on('account', (event) => {
+            const user = this.users.get(event.nick);
+            if (user) {
+                user.account = event.account;
+            }
+        });
+
+        commands.on('away', (event) => {
+            const user = this.users.get(event.nick);
+            if (user) {
+                user.away = true;
+                user.away_message = event.message;
+            }
+        });
+
+        commands.on('back', (event) => {
+            const user = this.users.get(event.nick);
+            if (user) {
+                user.away = false;
+                user.away_message = '';
+            }
+        });
+
+        commands.on('user updated', (event) => {
+            const user = this.users.get(event.nick);
+            if (user) {
+                updateUser(user, {
+                    ident: event.new_ident,
+                    hostname: event.new_hostname,
+                    gecos: event.new_gecos,
+                });
+            }
+        });
+
+        commands.on('wholist', (event) => {
+            event.users.forEach(u => {
+                const user = this.users.get(u.nick);
+                if (user) {
+                    updateUser(user, {
+                        ident: u.ident,
+                        hostname: u.hostname,
+                        gecos: u.real_name,
+                        account: u.account,
+                    });
+                    user.away = !!u.away;
+                }
+            });
+        });
+
+        // Nothing is known about a network until we have joined its channels again
+        client.connection.on('socket close', () => {
+            this.channels.clear();
+            this.users.clear();
+        });
+    }
+};
+
+class ChannelState {
+    constructor(name, fold) {
+        this.name = name;
+        this.topic = '';
+        this.topic_set_by = '';
+        this.topic_set_at = null;
+
+        // Members of the channel as { user, modes }, modes being their prefix modes
+        this.members = new CaseMap(fold);
+    }
+}
+
+/**
+ * A Map keyed by nick or channel name that ignores case as the network does
+ */
+class CaseMap {
+    constructor(fold) {
+        this.fold = fold;
+        this.map = new Map();
+    }
+
+    get size() {
+        return this.map.size;
+    }
+
+    get(name) {
+        return this.map.get(this.fold(name));
+    }
+
+    has(name) {
+        return this.map.has(this.fold(name));
+    }
+
+    set(name, value) {
+        this.map.set(this.fold(name), value);
+        return this;
+    }
+
+    delete(name) {
+        return this.map.delete(this.fold(name));
+    }
+
+    clear() {
+        this.map.clear();
+    }
+
+    keys() {
+        return this.map.keys();
+    }
+
+    values() {
+        return this.map.values();
+    }
+
+    entries() {
+        return this.map.entries();
+    }
+
+    forEach(fn) {
+        // Iterate over a copy so entries may be removed while iterating
+        Array.from(this.map.values()).forEach(value => fn(value));
+    }
+
+    [Symbol.iterator]() {
+        return this.map.entries();
+    }
+}
+
+function updateUser(user, info) {
+    if (info.ident) {
+        user.username = info.ident;
+    }
+    if (info.hostname) {
+        user.host = info.hostname;
+    }
+    if (info.gecos) {
+        user.gecos = info.gecos;
+    }
+    if (typeof info.account !== 'undefined') {
+        user.account = info.account || false;
+    }
+}
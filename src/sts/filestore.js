@@ -0,0 +1,54 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Persists STS policies to a JSON file for node.js.
+ * The file is read once when first needed and rewritten on every change.
+ */
+module.exports = class FileStore {
+    constructor(file_path) {
+        this.file_path = file_path;
+        this.policies = null;
+    }
+
+    load() {
+        if (this.policies) {
+            return this.policies;
+        }
+
+        this.policies = Object.create(null);
+
+        try {
+            const json = JSON.parse(fs.readFileSync(this.file_path, 'utf8'));
+            Object.keys(json || {}).forEach(host => {
+                this.policies[host] = json[host];
+            });
+        } catch (err) {
+            // A missing or unreadable file is the same as having no policies
+        }
+
+        return this.policies;
+    }
+
+    save() {
+        fs.writeFileSync(this.file_path, JSON.stringify(this.policies, null, 4));
+    }
+
+    get(host) {
+        return this.load()[host] || null;
+    }
+
+    set(host, policy) {
+        this.load()[host] = policy;
+        this.save();
+    }
+
+    remove(host) {
+        const policies = this.load();
+        if (policies[host]) {
+            delete policies[host];
+            this.save();
+        }
+    }
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * Browsers have no filesystem. This takes the place of filestore.js in the browser build.
+ */
+module.exports = class FileStore {
+    constructor() {
+        throw new Error('The STS FileStore is only available in nodejs');
+    }
+};
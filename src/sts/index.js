@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * IRCv3 Strict Transport Security (STS) policies
+ * https://ircv3.net/specs/extensions/sts
+ *
+ * Policies are kept in a store keyed by hostname. A store is any object with
+ * get(host), set(host, policy) and remove(host) methods.
+ */
+
+module.exports.MemoryStore = require('./memorystore');
+module.exports.FileStore = require('./filestore');
+
+module.exports.parsePolicy = parsePolicy;
+module.exports.getPolicy = getPolicy;
+module.exports.savePolicy = savePolicy;
+module.exports.transportSupportsSts = transportSupportsSts;
+
+/**
+ * Parse an sts capability value such as 'port=6697,duration=2592000,preload'
+ */
+function parsePolicy(value) {
+    const policy = {
+        port: null,
+        duration: null,
+        preload: false,
+    };
+
+    String(value || '').split(',').forEach(function(key_value) {
+        const sep = key_value.indexOf('=');
+        const key = (sep === -1 ? key_value : key_value.substr(0, sep)).toLowerCase();
+        const val = sep === -1 ? '' : key_value.substr(sep + 1);
+
+        if (key === 'port' && /^[0-9]+$/.test(val)) {
+            policy.port = parseInt(val, 10);
+        } else if (key === 'duration' && /^[0-9]+$/.test(val)) {
+            policy.duration = parseInt(val, 10);
+        } else if (key === 'preload') {
+            policy.preload = true;
+        }
+    });
+
+    return policy;
+}
+
+/**
+ * Get the policy for a host if one exists and has not yet expired
+ */
+function getPolicy(store, host) {
+    if (!store || !host) {
+        return null;
+    }
+
+    host = String(host).toLowerCase();
+    const policy = store.get(host);
+    if (!policy) {
+        return null;
+    }
+
+    if (policy.expires_at <= Date.now()) {
+        store.remove(host);
+        return null;
+    }
+
+    return policy;
+}
+
+/**
+ * Save the policy received over a secure connection. A duration of 0 removes it
+ */
+function savePolicy(store, host, port, duration) {
+    if (!store || !host) {
+        return;
+    }
+
+    host = String(host).toLowerCase();
+    if (!duration) {
+        store.remove(host);
+        return;
+    }
+
+    store.set(host, {
+        host: host,
+        port: port,
+        duration: duration,
+        expires_at: Date.now() + (duration * 1000),
+    });
+}
+
+/**
+ * STS applies to raw IRC connections. Transports such as websockets where the tls option
+ * means something else opt out with a static supportsSts = false
+ */
+function transportSupportsSts(transport) {
+    return !transport || transport.supportsSts !== false;
+}
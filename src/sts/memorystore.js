@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Keeps STS policies in memory for the lifetime of the process
+ */
+module.exports = class MemoryStore {
+    constructor() {
+        this.policies = Object.create(null);
+    }
+
+    get(host) {
+        return this.policies[host] || null;
+    }
+
+    set(host, policy) {
+        this.policies[host] = policy;
+    }
+
+    remove(host) {
+        delete this.policies[host];
+    }
+};
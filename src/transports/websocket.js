@@ -21,6 +21,11 @@ module.exports = class Connection extends EventEmitter {
         this.incoming_buffer = '';
     }
 
+    // The tls option selects wss://, so STS policies for raw IRC connections don't apply
+    static get supportsSts() {
+        return false;
+    }
+
     isConnected() {
         return this.connected;
     }
@@ -0,0 +1,104 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const mocks = require('./mocks');
+
+chai.use(require('chai-subset'));
+
+function channelClient() {
+    const mock = mocks.IrcClient({ nick: 'me' });
+    mock.register();
+    mock.receive(':server 005 me PREFIX=(ov)@+ CHANMODES=beI,k,l,imnpst EXCEPTS INVEX :are supported');
+    const channel = mock.client.channel('#chan');
+    mock.receive(':me!u@host JOIN #chan');
+    return { mock, channel };
+}
+
+describe('src/channel.js', function() {
+    it('should match users against bans and ban exceptions', function() {
+        const { mock, channel } = channelClient();
+        mock.receive(':bob!b@host MODE #chan +bbe *!*@*.bad.com nobody!*@* *!friend@*');
+
+        const user = { nick: 'dave', ident: 'dave', hostname: 'a.bad.com' };
+        expect(channel.matchingBans(user)).to.deep.equal(['*!*@*.bad.com']);
+        expect(channel.isBanned(user)).to.be.true;
+        expect(channel.isBanned('dave!friend@a.bad.com')).to.be.false;
+        expect(channel.isBanned('dave!dave@good.com')).to.be.false;
+    });
+
+    it('should match users and channels using the network CASEMAPPING', function() {
+        const { mock, channel } = channelClient();
+        mock.receive(':server 353 me = #CHAN :@me Bob[away]');
+        mock.receive(':server 366 me #chan :End of /NAMES list.');
+        mock.receive(':bob{away}!b@host NICK bob');
+
+        expect(channel.users.map(user => user.nick)).to.deep.equal(['me', 'bob']);
+    });
+
+    describe('modes', function() {
+        it('should track modes by their CHANMODES type', function() {
+            const { mock, channel } = channelClient();
+            mock.receive(':bob!b@host MODE #chan +ntklb-i secret 10 *!*@bad');
+            mock.receive(':bob!b@host MODE #chan +o me');
+
+            expect(channel.modes.flags).to.deep.equal(['n', 't']);
+            expect(channel.modes.params).to.deep.equal({ k: 'secret', l: '10' });
+            expect(channel.modes.lists).to.deep.equal({ b: ['*!*@bad'] });
+
+            mock.receive(':bob!b@host MODE #chan -tl+k-b other *!*@bad');
+            expect(channel.modes.flags).to.deep.equal(['n']);
+            expect(channel.modes.params).to.deep.equal({ k: 'other' });
+            expect(channel.modes.lists).to.deep.equal({ b: [] });
+        });
+
+        it('should emit modes changed with the modes before and after', function() {
+            const { mock, channel } = channelClient();
+            const events = [];
+            channel.on('modes changed', event => events.push(event));
+
+            mock.receive(':bob!b@host MODE #chan +n');
+            mock.receive(':bob!b@host MODE #chan +n');
+            mock.receive(':bob!b@host MODE #other +m');
+            mock.receive(':bob!b@host MODE #chan +v me');
+
+            expect(events).to.have.length(1);
+            expect(events[0]).to.containSubset({
+                channel: '#chan',
+                nick: 'bob',
+                modes: [{ mode: '+n', param: null }],
+                before: { lists: {}, params: {}, flags: [] },
+                after: { lists: {}, params: {}, flags: ['n'] },
+            });
+        });
+
+        it('should replace modes from RPL_CHANNELMODEIS', function() {
+            const { mock, channel } = channelClient();
+            mock.receive(':bob!b@host MODE #chan +mb *!*@bad');
+            mock.receive(':server 324 me #chan +ntl 5');
+
+            expect(channel.modes.flags).to.deep.equal(['n', 't']);
+            expect(channel.modes.params).to.deep.equal({ l: '5' });
+            expect(channel.modes.lists).to.deep.equal({ b: ['*!*@bad'] });
+        });
+
+        it('should load list modes from the list numerics', function() {
+            const { mock, channel } = channelClient();
+            mock.receive(':server 367 me #chan *!*@one bob 1000');
+            mock.receive(':server 367 me #chan *!*@two bob 1000');
+            mock.receive(':server 368 me #chan :End of channel ban list');
+            mock.receive(':server 348 me #chan *!*@three bob 1000');
+            mock.receive(':server 349 me #chan :End of channel exception list');
+            mock.receive(':server 346 me #chan *!*@four bob 1000');
+            mock.receive(':server 347 me #chan :End of channel invite list');
+
+            expect(channel.modes.lists).to.deep.equal({
+                b: ['*!*@one', '*!*@two'],
+                e: ['*!*@three'],
+                I: ['*!*@four'],
+            });
+        });
+    });
+});
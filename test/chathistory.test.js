@@ -0,0 +1,163 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const mocks = require('./mocks');
+
+function historyClient(isupport) {
+    const mock = mocks.IrcClient();
+    mock.receive(':server CAP * LS :batch server-time draft/chathistory');
+    mock.receive(':server CAP * ACK :batch server-time draft/chathistory');
+    mock.register();
+    if (isupport) {
+        mock.receive(':server 005 nick ' + isupport + ' :are supported by this server');
+    }
+    return mock;
+}
+
+// Rejects any requests still waiting so their timers don't keep mocha running
+function closeAndSettle(mock, reqs) {
+    mock.client.connection.emit('socket close');
+    return Promise.all(reqs.map(req => req.catch(() => {})));
+}
+
+describe('src/chathistory.js', function() {
+    it('should resolve with the messages in the chathistory batch', function() {
+        const mock = historyClient();
+        const req = mock.client.chathistory.latest('#chan', '*', 10);
+
+        return Promise.resolve().then(function() {
+            expect(mock.written()).to.deep.equal(['CHATHISTORY LATEST #chan * 10']);
+
+            mock.receive(':server BATCH +h1 chathistory #Chan');
+            mock.receive('@batch=h1;time=2020-01-01T00:00:00.000Z;msgid=a :bob!b@host PRIVMSG #chan :hello');
+            mock.receive('@batch=h1;time=2020-01-01T00:00:01.000Z;msgid=b :bob!b@host NOTICE #chan :there');
+            mock.receive(':server BATCH -h1');
+
+            return req;
+        }).then(function(messages) {
+            expect(messages).to.have.length(2);
+            expect(messages[0]).to.include({
+                type: 'privmsg',
+                historical: true,
+                nick: 'bob',
+                message: 'hello',
+            });
+            expect(messages[1]).to.include({ type: 'notice', message: 'there' });
+        });
+    });
+
+    it('should not emit the messages in the batch as new messages', function() {
+        const mock = historyClient();
+        const live = [];
+        ['privmsg', 'notice', 'message'].forEach(name => {
+            mock.client.on(name, event => live.push([name, event.message]));
+        });
+        const req = mock.client.chathistory.latest('#chan');
+
+        return Promise.resolve().then(function() {
+            mock.receive(':server BATCH +h1 chathistory #chan');
+            mock.receive('@batch=h1;msgid=a :bob!b@host PRIVMSG #chan :!ping');
+            mock.receive('@batch=h1;msgid=b :bob!b@host NOTICE #chan :there');
+            mock.receive(':server BATCH -h1');
+            mock.receive(':bob!b@host PRIVMSG #chan :now');
+
+            return req;
+        }).then(function(messages) {
+            expect(messages.map(m => m.message)).to.deep.equal(['!ping', 'there']);
+            expect(live).to.have.deep.members([['privmsg', 'now'], ['message', 'now']]);
+        });
+    });
+
+    it('should format msgid and timestamp selectors', function() {
+        const mock = historyClient();
+        const reqs = [
+            mock.client.chathistory.before('#chan', { tags: { msgid: 'abc' } }, 5),
+            mock.client.chathistory.between('#chan', new Date(0), 'timestamp=2020-01-01T00:00:00.000Z', 5),
+        ];
+
+        return Promise.resolve().then(function() {
+            expect(mock.written()).to.deep.equal([
+                'CHATHISTORY BEFORE #chan msgid=abc 5',
+                'CHATHISTORY BETWEEN #chan timestamp=1970-01-01T00:00:00.000Z timestamp=2020-01-01T00:00:00.000Z 5',
+            ]);
+            return closeAndSettle(mock, reqs);
+        });
+    });
+
+    it('should respect the CHATHISTORY ISUPPORT limit', function() {
+        const mock = historyClient('CHATHISTORY=20');
+        const reqs = [
+            mock.client.chathistory.latest('#chan', '*', 100),
+            mock.client.chathistory.latest('#chan'),
+        ];
+
+        return Promise.resolve().then(function() {
+            expect(mock.written()).to.deep.equal([
+                'CHATHISTORY LATEST #chan * 20',
+                'CHATHISTORY LATEST #chan * 20',
+            ]);
+            return closeAndSettle(mock, reqs);
+        });
+    });
+
+    it('should resolve targets', function() {
+        const mock = historyClient();
+        const req = mock.client.chathistory.targets(new Date(0), new Date(1000), 10);
+
+        return Promise.resolve().then(function() {
+            mock.receive(':server BATCH +t1 draft/chathistory-targets');
+            mock.receive('@batch=t1 :server CHATHISTORY TARGETS #chan timestamp=2020-01-01T00:00:00.000Z');
+            mock.receive(':server BATCH -t1');
+            return req;
+        }).then(function(targets) {
+            expect(targets).to.deep.equal([{ target: '#chan', time: 1577836800000 }]);
+        });
+    });
+
+    it('should request the capability when it is available but not enabled', function() {
+        const mock = mocks.IrcClient();
+        mock.receive(':server CAP * LS :batch draft/chathistory');
+        mock.register();
+
+        mock.client.chathistory.latest('#chan');
+        expect(mock.written()).to.deep.equal(['CAP REQ :draft/chathistory']);
+    });
+
+    it('should reject when the capability is not available', function() {
+        const mock = mocks.IrcClient();
+        mock.register();
+
+        return mock.client.chathistory.latest('#chan').then(function() {
+            throw new Error('Expected the request to be rejected');
+        }, function(err) {
+            expect(err.message).to.match(/not available/);
+        });
+    });
+
+    it('should reject with a FAIL reply', function() {
+        const mock = historyClient();
+        const req = mock.client.chathistory.latest('#nope');
+
+        return Promise.resolve().then(function() {
+            mock.receive(':server FAIL CHATHISTORY INVALID_TARGET LATEST #nope :Messages could not be retrieved');
+            return req;
+        }).then(function() {
+            throw new Error('Expected the request to be rejected');
+        }, function(err) {
+            expect(err.code).to.equal('INVALID_TARGET');
+        });
+    });
+
+    it('should reject an invalid selector', function() {
+        const mock = historyClient();
+
+        return mock.client.chathistory.before('#chan', 'yesterday').then(function() {
+            throw new Error('Expected the request to be rejected');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(TypeError);
+        });
+    });
+});
@@ -0,0 +1,798 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const mocks = require('./mocks');
+const Errors = require('../src/errors');
+const Client = require('../src/client');
+
+describe('src/client.js', function() {
+    it('should be created without options', function() {
+        const client = new Client();
+        expect(client.options).to.be.null;
+        expect(client.connection).to.be.an('object');
+    });
+
+    describe('capabilities', function() {
+        it('should store the values of advertised capabilities', function() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * LS * :multi-prefix sasl=PLAIN,EXTERNAL');
+            mock.receive(':server CAP * LS :draft/multiline=max-bytes=4096,max-lines=24');
+
+            const cap = mock.client.network.cap;
+            expect(cap.value('sasl')).to.equal('PLAIN,EXTERNAL');
+            expect(cap.value('multi-prefix')).to.equal('');
+            expect(cap.value('draft/multiline')).to.equal('max-bytes=4096,max-lines=24');
+            expect(cap.value('unknown')).to.be.undefined;
+
+            mock.receive(':server CAP * DEL :sasl');
+            expect(cap.isAvailable('sasl')).to.be.false;
+        });
+
+        it('should disable capabilities ACKed with a - modifier', function() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * ACK :multi-prefix away-notify');
+            mock.receive(':server CAP * ACK :-away-notify');
+
+            expect(mock.client.network.cap.enabled).to.deep.equal(['multi-prefix']);
+        });
+
+        it('should send CAP REQ after registration and resolve on ACK', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.requestCap(['echo-message', 'chghost']);
+            expect(mock.written()).to.deep.equal(['CAP REQ :echo-message chghost']);
+
+            mock.receive(':server CAP nick ACK :chghost echo-message');
+            return req.then(function(event) {
+                expect(event.command).to.equal('ACK');
+                expect(mock.client.network.cap.isEnabled('chghost')).to.be.true;
+            });
+        });
+
+        it('should reject a CAP REQ on NAK', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.requestCap('echo-message');
+            mock.receive(':server CAP nick NAK :echo-message');
+
+            return req.then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err.capabilities).to.deep.equal(['echo-message']);
+            });
+        });
+
+        it('should disable a capability with CAP REQ :-cap', function() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * ACK :away-notify');
+            mock.register();
+
+            const req = mock.client.disableCap('away-notify');
+            expect(mock.written()).to.deep.equal(['CAP REQ :-away-notify']);
+
+            mock.receive(':server CAP nick ACK :-away-notify');
+            return req.then(function() {
+                expect(mock.client.network.cap.isEnabled('away-notify')).to.be.false;
+            });
+        });
+
+        it('should not leave unhandled rejections for requests nobody waits on', async function() {
+            const unhandled = [];
+            const onUnhandled = err => unhandled.push(err);
+            process.on('unhandledRejection', onUnhandled);
+
+            try {
+                const mock = mocks.IrcClient();
+                mock.register();
+
+                mock.client.requestCap('echo-message');
+                mock.receive(':server CAP nick NAK :echo-message');
+                mock.client.requestCap('chghost');
+                mock.transport.close();
+                await new Promise(resolve => setImmediate(resolve));
+            } finally {
+                process.removeListener('unhandledRejection', onUnhandled);
+            }
+
+            expect(unhandled).to.deep.equal([]);
+        });
+
+        it('should reject a CAP REQ straight away when not connected', function() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * ACK :away-notify');
+            mock.register();
+            mock.transport.close();
+
+            return mock.client.disableCap('away-notify').then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err.capabilities).to.deep.equal(['-away-notify']);
+                expect(mock.written()).to.deep.equal([]);
+            });
+        });
+
+        it('should queue capabilities requested before registration', function() {
+            const mock = mocks.IrcClient();
+
+            expect(mock.client.requestCap('echo-message')).to.be.undefined;
+            mock.receive(':server CAP * LS :echo-message');
+            expect(mock.written()).to.include('CAP REQ :echo-message');
+        });
+    });
+
+    describe('alternate nicks', function() {
+        it('should try the alternate_nicks list before generating nicks', function() {
+            const mock = mocks.IrcClient({ nick: 'bot', alternate_nicks: ['bot2'] });
+            mock.transport.written = [];
+
+            mock.receive(':server 433 * bot :Nickname is already in use');
+            mock.receive(':server 433 * bot2 :Nickname is already in use');
+            mock.receive(':server 433 * bot_ :Nickname is already in use');
+
+            expect(mock.written()).to.deep.equal(['NICK bot2', 'NICK bot_', 'NICK bot__']);
+        });
+
+        it('should generate digit suffixed nicks', function() {
+            const mock = mocks.IrcClient({ nick: 'bot', alternate_nick_generator: 'digits' });
+            mock.transport.written = [];
+
+            mock.receive(':server 433 * bot :Nickname is already in use');
+            mock.receive(':server 433 * bot1 :Nickname is already in use');
+
+            expect(mock.written()).to.deep.equal(['NICK bot1', 'NICK bot2']);
+        });
+
+        it('should truncate erroneous nicks to fit a suffix', function() {
+            const mock = mocks.IrcClient({ nick: 'averylongnick' });
+            mock.transport.written = [];
+
+            mock.receive(':server 432 * averylongnick :Erroneous Nickname');
+
+            expect(mock.written()).to.deep.equal(['NICK averylon_']);
+        });
+
+        it('should still emit the event and let apps take over', function() {
+            const mock = mocks.IrcClient({ nick: 'bot' });
+            mock.transport.written = [];
+
+            mock.client.on('nick in use', function(event) {
+                expect(event.nick).to.equal('bot');
+                mock.client.changeNick('mybot');
+            });
+            mock.receive(':server 433 * bot :Nickname is already in use');
+
+            expect(mock.written()).to.deep.equal(['NICK mybot']);
+        });
+
+        it('should let apps take over when middleware delays the event', async function() {
+            const mock = mocks.IrcClient({ nick: 'bot' });
+            mock.transport.written = [];
+            mock.client.use(function(client, raw_events, parsed_events) {
+                parsed_events.use(function(command, event, event_client, next) {
+                    setTimeout(next, 0);
+                });
+            });
+
+            const rejected = new Promise(resolve => mock.client.on('nick in use', function() {
+                mock.client.changeNick('mybot');
+                resolve();
+            }));
+            mock.receive(':server 433 * bot :Nickname is already in use');
+            expect(mock.written()).to.deep.equal([]);
+
+            await rejected;
+            expect(mock.written()).to.deep.equal(['NICK mybot']);
+        });
+
+        it('should not retry once registered', function() {
+            const mock = mocks.IrcClient({ nick: 'bot' });
+            mock.register();
+
+            mock.client.changeNick('other');
+            mock.receive(':server 433 bot other :Nickname is already in use');
+
+            expect(mock.written()).to.deep.equal(['NICK other']);
+        });
+
+        it('should not retry when disabled', function() {
+            const mock = mocks.IrcClient({ nick: 'bot', alternate_nick_generator: false });
+            mock.transport.written = [];
+
+            mock.receive(':server 433 * bot :Nickname is already in use');
+
+            expect(mock.written()).to.deep.equal([]);
+        });
+    });
+
+    describe('labeled-response', function() {
+        function labeledClient() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * ACK :batch labeled-response');
+            mock.register();
+            return mock;
+        }
+
+        function sentLabel(mock) {
+            const line = mock.written()[mock.written().length - 1];
+            return line.match(/^@label=([^ ;]+) /)[1];
+        }
+
+        it('should resolve with a single labeled reply', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['WHOIS', 'someone']);
+            const label = sentLabel(mock);
+
+            expect(mock.written()[0]).to.equal('@label=' + label + ' WHOIS someone');
+            mock.receive('@label=' + label + ' :server 401 nick someone :No such nick');
+
+            return req.then(function(commands) {
+                expect(commands).to.have.length(1);
+                expect(commands[0].command).to.equal('401');
+            });
+        });
+
+        it('should resolve with the messages of a labeled-response batch', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['WHOIS', 'someone']);
+            const label = sentLabel(mock);
+
+            mock.receive('@label=' + label + ' :server BATCH +b1 labeled-response');
+            mock.receive('@batch=b1 :server 311 nick someone ident host * :Real Name');
+            mock.receive('@batch=b1 :server 318 nick someone :End of WHOIS');
+            mock.receive(':server BATCH -b1');
+
+            return req.then(function(commands) {
+                expect(commands.map(c => c.command)).to.deep.equal(['311', '318']);
+            });
+        });
+
+        it('should resolve with no messages on ACK', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['PONG', 'x']);
+            mock.receive('@label=' + sentLabel(mock) + ' :server ACK');
+
+            return req.then(function(commands) {
+                expect(commands).to.deep.equal([]);
+            });
+        });
+
+        it('should reject with a FAIL reply', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['SETNAME', 'New name']);
+            mock.receive('@label=' + sentLabel(mock) + ' :server FAIL SETNAME INVALID_REALNAME :Realname is not valid');
+
+            return req.then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(Errors.StandardReplyError);
+                expect(err).to.include({ command: 'SETNAME', code: 'INVALID_REALNAME', message: 'Realname is not valid' });
+            });
+        });
+
+        it('should reject when a labeled batch contains a FAIL', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['CHATHISTORY', 'LATEST', '#chan', '*', '10']);
+            const label = sentLabel(mock);
+
+            mock.receive('@label=' + label + ' :server BATCH +b1 labeled-response');
+            mock.receive('@batch=b1 :server FAIL CHATHISTORY INVALID_TARGET LATEST #chan :No such channel');
+            mock.receive(':server BATCH -b1');
+
+            return req.then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err.code).to.equal('INVALID_TARGET');
+                expect(err.context).to.deep.equal(['LATEST', '#chan']);
+            });
+        });
+
+        it('should reject after the timeout', function() {
+            const mock = labeledClient();
+            const req = mock.client.request(['WHOIS', 'someone'], { timeout: 5 });
+
+            return req.then(function() {
+                throw new Error('Expected the request to time out');
+            }, function(err) {
+                expect(err.label).to.equal(sentLabel(mock));
+            });
+        });
+
+        it('should reject when labeled-response is not enabled', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            return mock.client.request(['WHOIS', 'someone']).then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err.message).to.match(/labeled-response/);
+                expect(mock.written()).to.deep.equal([]);
+            });
+        });
+
+        it('should reject straight away when not connected', function() {
+            const mock = labeledClient();
+            mock.transport.close();
+
+            return mock.client.request(['WHOIS', 'someone'], { timeout: 10000 }).then(function() {
+                throw new Error('Expected the request to be rejected');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(Errors.DisconnectedError);
+                expect(mock.written()).to.deep.equal([]);
+            });
+        });
+    });
+
+    describe('message splitting', function() {
+        // The text of each line sent, without the command and target
+        function sentText(mock) {
+            return mock.written().map(line => line.replace(/^PRIVMSG #chan :?/, ''));
+        }
+
+        it('should split messages to fit our prefix once our host is known', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+            mock.receive(':nick!~ircbot@short.host JOIN #chan');
+
+            mock.client.say('#chan', 'a'.repeat(1000));
+
+            // 510 bytes, less ":nick!~ircbot@short.host PRIVMSG #chan :" and the safety margin
+            expect(sentText(mock).map(text => text.length)).to.deep.equal([460, 460, 80]);
+            expect(mock.client.user.host).to.equal('short.host');
+        });
+
+        it('should assume the longest host until it is known', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+            mock.receive(':server 005 nick HOSTLEN=20 LINELEN=1024 :are supported by this server');
+
+            mock.client.say('#chan', 'a'.repeat(1000));
+            expect(sentText(mock)[0]).to.have.length(1022 - ':nick!ircbot@ PRIVMSG #chan :'.length - 20 - 10);
+
+            mock.written().length = 0;
+            mock.receive(':server 396 nick a.very.long.vhost.example.com :is now your displayed host');
+            mock.client.say('#chan', 'a'.repeat(1000));
+            expect(sentText(mock)[0]).to.have.length(1022 - ':nick!ircbot@a.very.long.vhost.example.com PRIVMSG #chan :'.length - 10);
+        });
+
+        it('should follow host changes', function() {
+            const mock = mocks.IrcClient({ enable_chghost: true });
+            mock.register();
+            mock.receive(':nick!~ircbot@short.host JOIN #chan');
+            mock.receive(':nick!~ircbot@short.host CHGHOST newident a.much.longer.host.example.com');
+
+            mock.client.action('#chan', 'a'.repeat(1000));
+
+            const prefix = ':nick!newident@a.much.longer.host.example.com PRIVMSG #chan :';
+            expect(sentText(mock)[0]).to.have.length(510 - prefix.length - 10);
+            expect(sentText(mock)[0].indexOf('\x01ACTION ')).to.equal(0);
+        });
+
+        it('should use a fixed message_max_length', function() {
+            const mock = mocks.IrcClient({ message_max_length: 100 });
+            mock.register();
+
+            mock.client.notice('#chan', 'a'.repeat(250));
+            expect(mock.written().map(line => line.split(' ').pop().replace(':', '').length)).to.deep.equal([100, 100, 50]);
+        });
+    });
+
+    describe('multiline', function() {
+        function multilineClient(value) {
+            const mock = mocks.IrcClient({ message_max_length: 10 });
+            mock.receive(':server CAP * LS :batch draft/multiline' + (value ? '=' + value : ''));
+            mock.receive(':server CAP * ACK :batch draft/multiline');
+            mock.register();
+            return mock;
+        }
+
+        it('should send separate messages without draft/multiline', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            mock.client.say('#chan', 'one\n\ntwo');
+            expect(mock.written()).to.deep.equal(['PRIVMSG #chan one', 'PRIVMSG #chan two']);
+        });
+
+        it('should send multiple lines in a batch', function() {
+            const mock = multilineClient();
+
+            mock.client.say('#chan', 'one\n\nhello world again');
+            const id = mock.written()[0].split(' ')[1].substr(1);
+            expect(mock.written()).to.deep.equal([
+                'BATCH +' + id + ' draft/multiline #chan',
+                '@batch=' + id + ' PRIVMSG #chan one',
+                '@batch=' + id + ' PRIVMSG #chan :',
+                '@batch=' + id + ' PRIVMSG #chan hello',
+                '@batch=' + id + ';draft/multiline-concat PRIVMSG #chan : world',
+                '@batch=' + id + ';draft/multiline-concat PRIVMSG #chan : again',
+                'BATCH -' + id,
+            ]);
+        });
+
+        it('should not use a batch for a single line', function() {
+            const mock = multilineClient();
+
+            mock.client.say('#chan', 'hello\n');
+            expect(mock.written()).to.deep.equal(['PRIVMSG #chan hello']);
+        });
+
+        it('should split batches at max-lines and max-bytes', function() {
+            const mock = multilineClient('max-bytes=10,max-lines=2');
+
+            mock.client.notice('#chan', 'a\nb\nc\nhelloworld');
+            const lines = mock.written().map(line => line.replace(/ml[0-9]+/g, 'id'));
+            expect(lines).to.deep.equal([
+                'BATCH +id draft/multiline #chan',
+                '@batch=id NOTICE #chan a',
+                '@batch=id NOTICE #chan b',
+                'BATCH -id',
+                'NOTICE #chan c',
+                'NOTICE #chan helloworld',
+            ]);
+        });
+
+        it('should keep concatenated lines together when splitting batches', function() {
+            const mock = multilineClient('max-lines=3');
+
+            mock.client.say('#chan', 'one\nhello world again');
+            const lines = mock.written().map(line => line.replace(/ml[0-9]+/g, 'id'));
+            expect(lines).to.deep.equal([
+                'PRIVMSG #chan one',
+                'BATCH +id draft/multiline #chan',
+                '@batch=id PRIVMSG #chan hello',
+                '@batch=id;draft/multiline-concat PRIVMSG #chan : world',
+                '@batch=id;draft/multiline-concat PRIVMSG #chan : again',
+                'BATCH -id',
+            ]);
+        });
+
+        it('should merge a received multiline batch into one privmsg', function() {
+            const mock = multilineClient();
+            const events = [];
+            mock.client.on('privmsg', event => events.push(event));
+
+            mock.receive('@msgid=abc :bob!b@host BATCH +m1 draft/multiline #chan');
+            mock.receive('@batch=m1 :bob!b@host PRIVMSG #chan :hello');
+            mock.receive('@batch=m1;draft/multiline-concat :bob!b@host PRIVMSG #chan : world');
+            mock.receive('@batch=m1 :bob!b@host PRIVMSG #chan :');
+            mock.receive('@batch=m1 :bob!b@host PRIVMSG #chan :bye');
+            mock.receive(':bob!b@host BATCH -m1');
+
+            expect(events).to.have.length(1);
+            expect(events[0]).to.include({ nick: 'bob', target: '#chan', message: 'hello world\n\nbye' });
+            expect(events[0].tags).to.deep.equal({ msgid: 'abc' });
+        });
+    });
+
+    describe('replies and reactions', function() {
+        function taggedClient() {
+            const mock = mocks.IrcClient();
+            mock.receive(':server CAP * ACK :message-tags');
+            mock.register();
+            return mock;
+        }
+
+        const channel_event = { nick: 'bob', target: '#chan', tags: { msgid: 'abc' } };
+
+        it('should reply with the +draft/reply tag', function() {
+            const mock = taggedClient();
+
+            mock.client.reply(channel_event, 'hi bob');
+            mock.client.reply({ nick: 'bob', target: 'nick', tags: { msgid: 'def' } }, 'hi');
+            expect(mock.written()).to.deep.equal([
+                '@+draft/reply=abc PRIVMSG #chan :hi bob',
+                '@+draft/reply=def PRIVMSG bob hi',
+            ]);
+        });
+
+        it('should react with a TAGMSG', function() {
+            const mock = taggedClient();
+
+            expect(mock.client.react(channel_event, '👍')).to.be.true;
+            expect(mock.written()).to.deep.equal(['@+draft/reply=abc;+draft/react=👍 TAGMSG #chan']);
+        });
+
+        it('should not send tags without message-tags', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            mock.client.reply(channel_event, 'hi');
+            expect(mock.client.react(channel_event, '👍')).to.be.false;
+            expect(mock.written()).to.deep.equal(['PRIVMSG #chan hi']);
+        });
+
+        it('should parse replies and reactions on incoming messages', function() {
+            const mock = taggedClient();
+            const events = [];
+            mock.client.on('privmsg', event => events.push(event));
+            mock.client.on('tagmsg', event => events.push(event));
+
+            mock.receive('@+draft/reply=abc :bob!b@host PRIVMSG #chan :hi');
+            mock.receive('@+draft/reply=abc;+draft/react=👍 :bob!b@host TAGMSG #chan');
+
+            expect(events[0]).to.include({ reply_to: 'abc', reaction: undefined });
+            expect(events[1]).to.include({ reply_to: 'abc', reaction: '👍' });
+        });
+    });
+
+    describe('queries', function() {
+        function expectRejection(promise, ErrorClass) {
+            return promise.then(function() {
+                throw new Error('Expected the query to be rejected');
+            }, function(err) {
+                expect(err).to.be.an.instanceof(ErrorClass);
+                return err;
+            });
+        }
+
+        it('should resolve whois with the whois event', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.whois('Bob');
+            expect(mock.written()).to.deep.equal(['WHOIS Bob']);
+            mock.receive(':server 311 nick bob b host * :Bob Smith');
+            mock.receive(':server 318 nick bob :End of /WHOIS list');
+
+            return req.then(function(event) {
+                expect(event).to.include({ nick: 'bob', real_name: 'Bob Smith' });
+            });
+        });
+
+        it('should reject whois with a ReplyError for an unknown nick', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.whois('bob');
+            mock.receive(':server 401 nick bob :No such nick/channel');
+            mock.receive(':server 318 nick bob :End of /WHOIS list');
+
+            return expectRejection(req, Errors.ReplyError).then(function(err) {
+                expect(err.error).to.equal('no_such_nick');
+                expect(mock.client.listeners('whois')).to.have.length(0);
+            });
+        });
+
+        it('should call whois callbacks for an unknown nick', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const replies = [];
+            mock.client.whois('ghost', event => replies.push(event));
+            mock.receive(':server 401 nick ghost :No such nick/channel');
+            mock.receive(':server 318 nick ghost :End of /WHOIS list');
+
+            expect(replies).to.have.length(1);
+            expect(replies[0]).to.include({ nick: 'ghost', error: 'not_found' });
+            expect(mock.client.listeners('irc error')).to.have.length(0);
+        });
+
+        it('should reject whowas when the nick was not found', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.whowas('bob');
+            mock.receive(':server 406 nick bob :There was no such nickname');
+            mock.receive(':server 369 nick bob :End of WHOWAS');
+
+            return expectRejection(req, Errors.ReplyError);
+        });
+
+        it('should reject banlist when not allowed to see it', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.banlist('#chan');
+            mock.receive(':server 482 nick #chan :You\'re not a channel operator');
+
+            return expectRejection(req, Errors.ReplyError).then(function(err) {
+                expect(err.error).to.equal('chanop_privs_needed');
+            });
+        });
+
+        it('should still call inviteList callbacks with null on errors', function(done) {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const ret = mock.client.inviteList('#chan', function(event) {
+                expect(event).to.be.null;
+                expect(mock.client.listeners('inviteList')).to.have.length(0);
+                done();
+            });
+            expect(ret).to.be.undefined;
+            mock.receive(':server 403 nick #chan :No such channel');
+        });
+
+        it('should reject after the timeout', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            return expectRejection(mock.client.whois('bob', { timeout: 5 }), Errors.TimeoutError);
+        });
+
+        it('should reject on disconnect', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            const req = mock.client.banlist('#chan');
+            mock.client.connection.emit('socket close');
+
+            return expectRejection(req, Errors.DisconnectedError);
+        });
+
+        it('should reject when aborted', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+            const controller = new AbortController();
+
+            const req = mock.client.whois('bob', { signal: controller.signal });
+            controller.abort();
+
+            return expectRejection(req, Errors.AbortError).then(function() {
+                expect(mock.client.listeners('whois')).to.have.length(0);
+            });
+        });
+
+        it('should remove an aborted who from the queue', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+            const controller = new AbortController();
+
+            const first = mock.client.who('#one');
+            const second = mock.client.who('#two', { signal: controller.signal });
+            controller.abort();
+            mock.receive(':server 315 nick #one :End of /WHO list.');
+
+            return first.then(function(event) {
+                expect(event).to.deep.equal({ target: '#one', users: [] });
+                return expectRejection(second, Errors.AbortError);
+            }).then(function() {
+                expect(mock.written()).to.deep.equal(['WHO #one']);
+            });
+        });
+
+        it('should start the next who after a disconnect', function() {
+            const mock = mocks.IrcClient();
+            mock.register();
+
+            mock.client.who('#one', function() {});
+            mock.client.connection.emit('socket close');
+            const req = mock.client.who('#two');
+            mock.receive(':server 315 nick #two :End of /WHO list.');
+
+            return req.then(function(event) {
+                expect(event.target).to.equal('#two');
+                expect(mock.written()).to.deep.equal(['WHO #one', 'WHO #two']);
+            });
+        });
+    });
+
+    describe('modes', function() {
+        function modeClient(isupport) {
+            const mock = mocks.IrcClient();
+            mock.register();
+            mock.receive(':server 005 nick ' + isupport + ' :are supported by this server');
+            return mock;
+        }
+
+        it('should pack modes up to the MODES limit', function() {
+            const mock = modeClient('MODES=3');
+            mock.client.op('#chan', ['a', 'b', 'c', 'd']);
+            mock.client.setModes('#chan', [
+                { mode: '+m' },
+                { mode: '-o', param: 'a' },
+                { mode: '+v', param: 'b' },
+                { mode: '-t' },
+            ]);
+
+            expect(mock.written()).to.deep.equal([
+                'MODE #chan +ooo a b c',
+                'MODE #chan +o d',
+                'MODE #chan +m-o+v-t a b',
+            ]);
+        });
+
+        it('should split modes to fit the line length', function() {
+            const mock = modeClient('MODES LINELEN=40');
+            mock.client.voice('#chan', ['nick_one', 'nick_two', 'nick_three']);
+            mock.client.devoice('#chan', 'nick_four');
+
+            expect(mock.written()).to.deep.equal([
+                'MODE #chan +vv nick_one nick_two',
+                'MODE #chan +v nick_three',
+                'MODE #chan -v nick_four',
+            ]);
+        });
+
+        it('should quiet with +q or a mute extban', function() {
+            const mock = modeClient('CHANMODES=bq,k,l,imnt');
+            expect(mock.client.quiet('#chan', '*!*@host')).to.be.true;
+
+            mock.receive(':server 005 nick CHANMODES=b,k,l,imnt EXTBAN=~,qa :are supported by this server');
+            expect(mock.client.unquiet('#chan', ['*!*@a', '*!*@b'])).to.be.true;
+
+            mock.receive(':server 005 nick EXTBAN=~,a :are supported by this server');
+            expect(mock.client.quiet('#chan', '*!*@host')).to.be.false;
+
+            expect(mock.written()).to.deep.equal([
+                'MODE #chan +q *!*@host',
+                'MODE #chan -bb ~q:*!*@a ~q:*!*@b',
+            ]);
+        });
+    });
+
+    describe('kick', function() {
+        function kickClient(isupport) {
+            const mock = mocks.IrcClient();
+            mock.register();
+            mock.receive(':server 005 nick ' + isupport + ' :are supported by this server');
+            return mock;
+        }
+
+        it('should batch nicks by TARGMAX and truncate the reason to KICKLEN', function() {
+            const mock = kickClient('TARGMAX=KICK:2 KICKLEN=10');
+            mock.client.kick('#chan', ['a', 'b', 'c'], 'you have been kicked');
+            mock.client.kick('#chan', 'd');
+
+            expect(mock.written()).to.deep.equal([
+                'KICK #chan a,b :you have b',
+                'KICK #chan c :you have b',
+                'KICK #chan d',
+            ]);
+        });
+
+        it('should use REMOVE when asked and supported', function() {
+            const mock = kickClient('TARGMAX=KICK:1,REMOVE:1');
+            mock.client.kick('#chan', ['a', 'b'], 'bye', { remove: true });
+
+            expect(mock.written()).to.deep.equal([
+                'REMOVE #chan a bye',
+                'REMOVE #chan b bye',
+            ]);
+        });
+
+        it('should kickban using the host from WHO', async function() {
+            const mock = kickClient('TARGMAX=KICK:1');
+            const banned = mock.client.kickban('#chan', 'Bad', 'go away', 'user@domain');
+
+            expect(mock.written()).to.deep.equal(['WHO Bad']);
+            mock.receive(':server 352 nick * ~baddie a.b.example.com server bad H :0 Bad Person');
+            mock.receive(':server 315 nick Bad :End of /WHO list.');
+
+            expect(await banned).to.equal('*!*baddie@*.b.example.com');
+            expect(mock.written().slice(1)).to.deep.equal([
+                'MODE #chan +b *!*baddie@*.b.example.com',
+                'KICK #chan Bad :go away',
+            ]);
+        });
+
+        it('should kickban using tracked state', async function() {
+            const mock = mocks.IrcClient({ enable_state_tracking: true });
+            mock.register();
+            mock.receive(':nick!u@host JOIN #chan');
+            mock.receive(':bad!b@bad.host JOIN #chan');
+
+            expect(await mock.client.kickban('#chan', 'bad')).to.equal('*!*@bad.host');
+            expect(mock.written()).to.deep.equal([
+                'MODE #chan +b *!*@bad.host',
+                'KICK #chan bad',
+            ]);
+        });
+
+        it('should reject kickban for an unknown nick', async function() {
+            const mock = kickClient('TARGMAX=KICK:1');
+            const banned = mock.client.kickban('#chan', 'nobody');
+            mock.receive(':server 315 nick nobody :End of /WHO list.');
+
+            let err = null;
+            await banned.catch(e => { err = e; });
+            expect(err).to.be.an.instanceof(Errors.ReplyError);
+            expect(mock.written()).to.deep.equal(['WHO nobody']);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+const mocks = require('./mocks');
+const CommandRouter = require('../src/commandrouter');
+
+chai.use(require('sinon-chai'));
+
+function routerClient(options, client_options) {
+    const mock = mocks.IrcClient(Object.assign({ nick: 'bot' }, client_options));
+    const router = new CommandRouter(options);
+    mock.client.use(router.middleware());
+    mock.register();
+    return { mock, router };
+}
+
+describe('src/commandrouter.js', function() {
+    it('should run commands with a prefix or a mention', function() {
+        const { mock, router } = routerClient({ prefixes: ['!', '.'] });
+        const handler = sinon.spy();
+        router.command('weather', handler);
+
+        mock.receive(':bob!b@host PRIVMSG #chan :!weather london');
+        mock.receive(':bob!b@host PRIVMSG #chan :Bot: weather paris');
+        mock.receive(':bob!b@host PRIVMSG #chan :.WEATHER');
+        mock.receive(':bob!b@host PRIVMSG #chan :weather not for us');
+        mock.receive(':bob!b@host PRIVMSG bot :weather private');
+
+        expect(handler.args.map(args => args[0].args)).to.deep.equal([
+            ['london'], ['paris'], [], ['private'],
+        ]);
+    });
+
+    it('should parse quoted arguments', function() {
+        const { mock, router } = routerClient();
+        const handler = sinon.spy();
+        router.command('say', handler);
+
+        mock.receive(':bob!b@host PRIVMSG #chan :!say "hello world" \'it is\' a\\ b ""');
+        expect(handler.args[0][0].args).to.deep.equal(['hello world', 'it is', 'a b', '']);
+    });
+
+    it('should route subcommands and reply to the channel', function() {
+        const { mock, router } = routerClient();
+        router.command('config').command('set', ctx => ctx.reply('set ' + ctx.args.join('=')));
+
+        mock.receive(':bob!b@host PRIVMSG #chan :!config set key value');
+        expect(mock.written()).to.deep.equal(['PRIVMSG #chan :set key=value']);
+    });
+
+    it('should generate help', function() {
+        const { mock, router } = routerClient();
+        router.command('weather', { description: 'Get the weather', usage: '<city>' }, () => {});
+        router.command('secret', { hidden: true }, () => {});
+
+        mock.receive(':bob!b@host PRIVMSG #chan :!help');
+        mock.receive(':bob!b@host PRIVMSG #chan :!help weather');
+        expect(mock.written()).to.deep.equal([
+            'PRIVMSG #chan :Commands: help, weather',
+            'PRIVMSG #chan :!weather <city> - Get the weather',
+        ]);
+    });
+
+    it('should apply cooldowns per user', function() {
+        const clock = sinon.useFakeTimers();
+        try {
+            const { mock, router } = routerClient();
+            const handler = sinon.spy();
+            const denied = sinon.spy();
+            router.command('ping', { cooldown: 10 }, handler);
+            router.on('command denied', denied);
+
+            mock.receive(':bob!b@host PRIVMSG #chan :!ping');
+            mock.receive(':bob!b@host PRIVMSG #chan :!ping');
+            mock.receive(':dave!d@host PRIVMSG #chan :!ping');
+            mock.receive(':Dave[!d@host PRIVMSG #chan :!ping');
+            mock.receive(':dave{!d@host PRIVMSG #chan :!ping');
+            clock.tick(10000);
+            mock.receive(':bob!b@host PRIVMSG #chan :!ping');
+
+            // Nicks differing only by case are the same user, including [ and { with rfc1459
+            expect(handler).to.have.callCount(4);
+            expect(denied).to.have.been.calledTwice;
+            expect(denied.args[0][0]).to.include({ reason: 'cooldown', command: 'ping' });
+        } finally {
+            clock.restore();
+        }
+    });
+
+    it('should check permissions by account, hostmask and rank', function() {
+        const { mock, router } = routerClient({}, { enable_state_tracking: true });
+        const handler = sinon.spy();
+        router.command('admin', {
+            permission: { accounts: ['Owner'], hostmasks: ['*!*@trusted.host'], rank: 'o' },
+        }, handler);
+
+        mock.receive(':bot!u@host JOIN #chan');
+        mock.receive(':server 353 bot = #chan :bot @op +voiced');
+        mock.receive(':server 366 bot #chan :End of /NAMES list.');
+
+        mock.receive('@account=owner :a!a@host PRIVMSG #chan :!admin');
+        mock.receive(':b!b@trusted.host PRIVMSG #chan :!admin');
+        mock.receive(':op!o@host PRIVMSG #chan :!admin');
+        mock.receive(':voiced!v@host PRIVMSG #chan :!admin');
+        mock.receive('@account=someone :c!c@host PRIVMSG #chan :!admin');
+
+        expect(handler.args.map(args => args[0].event.nick)).to.deep.equal(['a', 'b', 'op']);
+    });
+
+    it('should emit command error when a handler fails', async function() {
+        const { mock, router } = routerClient();
+        const errors = sinon.spy();
+        router.on('command error', errors);
+        router.command('throws', () => { throw new Error('sync'); });
+        router.command('rejects', () => Promise.reject(new Error('async')));
+
+        mock.receive(':bob!b@host PRIVMSG #chan :!throws');
+        mock.receive(':bob!b@host PRIVMSG #chan :!rejects');
+        await Promise.resolve();
+
+        expect(errors.args.map(args => args[0].error.message)).to.deep.equal(['sync', 'async']);
+    });
+});
@@ -43,4 +43,41 @@ describe('src/commands/handlers/misc.js', function() {
             });
         });
     });
+
+    describe('FAIL handler', function() {
+        it('should emit the parsed standard reply', function() {
+            const mock = mocks.IrcCommandHandler([misc]);
+            const cmd = new IrcCommand('FAIL', {
+                nick: '',
+                params: ['CHATHISTORY', 'INVALID_TARGET', 'LATEST', '#chan', 'Messages could not be retrieved'],
+                tags: {}
+            });
+            mock.handlers.FAIL(cmd, mock.spies);
+            expect(mock.spies.emit).to.have.been.calledOnce;
+            expect(mock.spies.emit).to.have.been.calledWith('fail', {
+                command: 'CHATHISTORY',
+                code: 'INVALID_TARGET',
+                context: ['LATEST', '#chan'],
+                description: 'Messages could not be retrieved',
+                from_server: true,
+                nick: '',
+                tags: {},
+                time: undefined,
+            });
+        });
+    });
+
+    describe('WARN handler', function() {
+        it('should emit the parsed standard reply', function() {
+            const mock = mocks.IrcCommandHandler([misc]);
+            const cmd = new IrcCommand('WARN', parse(':server WARN REHASH CERTS_EXPIRED :Certificate has expired'));
+            mock.handlers.WARN(cmd, mock.spies);
+            expect(mock.spies.emit).to.have.been.calledWithMatch('warn', {
+                command: 'REHASH',
+                code: 'CERTS_EXPIRED',
+                context: [],
+                description: 'Certificate has expired',
+            });
+        });
+    });
 });
@@ -0,0 +1,228 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+const NetworkInfo = require('../../../src/networkinfo');
+const IrcCommandHandler = require('../../../src/commands/handler');
+
+chai.use(require('sinon-chai'));
+
+function newHandler(options) {
+    const connection = {
+        options: options,
+        write: sinon.spy(),
+        end: sinon.spy()
+    };
+    return new IrcCommandHandler(connection, new NetworkInfo());
+}
+
+function dispatch(handler, command, params) {
+    handler.dispatch({
+        command: command,
+        params: params,
+        tags: {}
+    });
+}
+
+function written(handler) {
+    return handler.connection.write.args.map(args => args[0]);
+}
+
+describe('src/commands/handlers/registration.js', function() {
+    describe('RPL_ISUPPORT', function() {
+        it('should parse typed values', function() {
+            const handler = newHandler({});
+            dispatch(handler, '005', [
+                'nick', 'NICKLEN=30', 'MODES', 'TARGMAX=PRIVMSG:4,NOTICE:4,JOIN:', 'MAXLIST=beI:100,q:50',
+                'CHANLIMIT=#:25', 'EXCEPTS', 'INVEX=J', 'EXTBAN=~,qjncrRa', 'ELIST=cmntu',
+                'NETWORK=Some\\x20Net', 'are supported by this server'
+            ]);
+
+            const network = handler.network;
+            expect(network.supports('NICKLEN')).to.equal(30);
+            expect(network.limit('NICKLEN')).to.equal(30);
+            expect(network.maxModes()).to.equal(Infinity);
+            expect(network.targMax('privmsg')).to.equal(4);
+            expect(network.targMax('JOIN')).to.equal(Infinity);
+            expect(network.targMax('KICK')).to.be.undefined;
+            expect(network.maxList('I')).to.equal(100);
+            expect(network.maxList('q')).to.equal(50);
+            expect(network.chanLimit('#')).to.equal(25);
+            expect(network.supports('EXCEPTS')).to.equal('e');
+            expect(network.supports('INVEX')).to.equal('J');
+            expect(network.extBan()).to.deep.equal({ prefix: '~', types: 'qjncrRa' });
+            expect(network.supports('ELIST')).to.deep.equal(['C', 'M', 'N', 'T', 'U']);
+            expect(network.name).to.equal('Some Net');
+            expect(network.supports('are supported by this server')).to.be.undefined;
+        });
+
+        it('should use defaults for limits not given', function() {
+            const network = newHandler({}).network;
+            expect(network.maxModes()).to.equal(3);
+            expect(network.lineLength()).to.equal(512);
+            expect(network.extBan()).to.be.null;
+        });
+
+        it('should remove tokens prefixed with -', function() {
+            const handler = newHandler({});
+            dispatch(handler, '005', ['nick', 'EXCEPTS', 'PREFIX=(qov)~@+', 'TOPICLEN=300']);
+            dispatch(handler, '005', ['nick', '-EXCEPTS', '-PREFIX', 'are supported by this server']);
+
+            expect(handler.network.supports('EXCEPTS')).to.be.undefined;
+            expect(handler.network.supports('TOPICLEN')).to.equal(300);
+            expect(handler.network.options.PREFIX).to.deep.equal([
+                { symbol: '@', mode: 'o' },
+                { symbol: '+', mode: 'v' },
+            ]);
+        });
+
+        it('should emit server options changed after registration', function() {
+            const handler = newHandler({});
+            const spy = sinon.spy();
+            handler.on('server options changed', spy);
+
+            // The options sent while registering are not changes
+            dispatch(handler, '001', ['nick', 'Welcome']);
+            dispatch(handler, '005', ['nick', 'NETWORK=Test', 'MODES=4']);
+            dispatch(handler, '005', ['nick', 'NICKLEN=30', 'SILENCE=15']);
+            dispatch(handler, '376', ['nick', 'End of /MOTD command.']);
+            expect(spy).to.not.have.been.called;
+
+            dispatch(handler, '005', ['nick', 'NICKLEN=30', 'SILENCE=15']);
+            expect(spy).to.not.have.been.called;
+
+            dispatch(handler, '005', ['nick', 'NICKLEN=31', '-SILENCE', 'KICKLEN=100']);
+            expect(spy).to.have.been.calledOnce;
+            expect(spy.args[0][0]).to.deep.include({
+                added: [{ name: 'KICKLEN', value: 100 }],
+                removed: [{ name: 'SILENCE', old_value: 15 }],
+                changed: [{ name: 'NICKLEN', old_value: 30, value: 31 }],
+            });
+        });
+    });
+
+    describe('SASL', function() {
+        const account = { account: 'user', password: 'pencil' };
+
+        it('should only try mechanisms listed in the sasl CAP value', function() {
+            const handler = newHandler({
+                account: account,
+                sasl_mechanism: ['SCRAM-SHA-256', 'PLAIN']
+            });
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl=PLAIN,EXTERNAL']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'AUTHENTICATE PLAIN'
+            ]);
+        });
+
+        it('should skip SCRAM mechanisms without a supported hash', function() {
+            const handler = newHandler({
+                account: account,
+                sasl_mechanism: ['SCRAM-SHA-512', 'PLAIN']
+            });
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl=SCRAM-SHA-512,PLAIN']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'AUTHENTICATE PLAIN'
+            ]);
+        });
+
+        it('should fall back to the next mechanism on ERR_SASLFAIL', function() {
+            const handler = newHandler({
+                account: account,
+                sasl_mechanism: ['SCRAM-SHA-256', 'PLAIN']
+            });
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+            dispatch(handler, '904', ['*', 'SASL authentication failed']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'AUTHENTICATE SCRAM-SHA-256',
+                'AUTHENTICATE PLAIN'
+            ]);
+        });
+
+        it('should skip mechanisms not listed by RPL_SASLMECHS', function() {
+            const handler = newHandler({
+                account: account,
+                sasl_mechanism: ['SCRAM-SHA-256', 'SCRAM-SHA-1', 'PLAIN']
+            });
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+            dispatch(handler, '908', ['*', 'PLAIN,EXTERNAL', 'are available SASL mechanisms']);
+            dispatch(handler, '904', ['*', 'SASL authentication failed']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'AUTHENTICATE SCRAM-SHA-256',
+                'AUTHENTICATE PLAIN'
+            ]);
+        });
+
+        it('should emit sasl failed and end CAP negotiation once all mechanisms failed', function() {
+            const handler = newHandler({ account: account });
+            const onFailed = sinon.spy();
+            handler.on('sasl failed', onFailed);
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+            dispatch(handler, '904', ['*', 'SASL authentication failed']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'AUTHENTICATE PLAIN',
+                'CAP END'
+            ]);
+            expect(handler.network.cap.negotiating).to.be.false;
+            expect(handler.connection.end).to.not.have.been.called;
+            expect(onFailed).to.have.been.calledOnce;
+            expect(onFailed.firstCall.args[0]).to.include({
+                reason: 'fail',
+                message: 'SASL authentication failed',
+                mechanism: 'PLAIN'
+            });
+        });
+
+        it('should emit sasl failed when no mechanisms are supported', function() {
+            const handler = newHandler({ account: account, sasl_mechanism: 'SCRAM-SHA-256' });
+            const onFailed = sinon.spy();
+            handler.on('sasl failed', onFailed);
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl=PLAIN']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+
+            expect(written(handler)).to.deep.equal([
+                'CAP REQ :sasl',
+                'CAP END'
+            ]);
+            expect(onFailed.firstCall.args[0]).to.deep.include({
+                reason: 'unsupported_mechanism',
+                mechanisms: ['PLAIN']
+            });
+        });
+
+        it('should disconnect on failure if sasl_disconnect_on_fail is set', function() {
+            const handler = newHandler({ account: account, sasl_disconnect_on_fail: true });
+
+            dispatch(handler, 'CAP', ['*', 'LS', 'sasl']);
+            dispatch(handler, 'CAP', ['*', 'ACK', 'sasl']);
+            dispatch(handler, '904', ['*', 'SASL authentication failed']);
+
+            expect(written(handler)).to.not.include('CAP END');
+            expect(handler.connection.end).to.have.been.calledOnce;
+        });
+    });
+});
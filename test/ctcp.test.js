@@ -0,0 +1,91 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+const mocks = require('./mocks');
+
+chai.use(require('sinon-chai'));
+
+function ctcpClient(options) {
+    const mock = mocks.IrcClient(options);
+    mock.register();
+    return mock;
+}
+
+describe('src/ctcp.js', function() {
+    it('should reply with the built in responders', function() {
+        const mock = ctcpClient({
+            version: 'testbot 1.0',
+            ctcp: { ping: true, time: true, clientinfo: true, source: 'https://example.com', finger: 'no fingers' },
+        });
+        mock.receive(':bob!b@host PRIVMSG nick :\x01VERSION\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01PING 12345\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01FINGER\x01');
+        mock.receive(':dave!d@host PRIVMSG nick :\x01CLIENTINFO\x01');
+        mock.receive(':dave!d@host PRIVMSG nick :\x01TIME\x01');
+
+        expect(mock.written().slice(0, 4)).to.deep.equal([
+            'NOTICE bob :\x01VERSION testbot 1.0\x01',
+            'NOTICE bob :\x01PING 12345\x01',
+            'NOTICE bob :\x01FINGER no fingers\x01',
+            'NOTICE dave :\x01CLIENTINFO ACTION CLIENTINFO FINGER PING SOURCE TIME VERSION\x01',
+        ]);
+        expect(mock.written()[4].indexOf('NOTICE dave :\x01TIME ')).to.equal(0);
+    });
+
+    it('should emit ctcp request for requests without a responder', function() {
+        const mock = ctcpClient({ ctcp: { source: 'https://example.com' } });
+        const requests = sinon.spy();
+        mock.client.on('ctcp request', requests);
+
+        mock.receive(':bob!b@host PRIVMSG nick :\x01VERSION\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01PING 1\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01TIME\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01SOURCE\x01');
+        mock.client.options.version = null;
+        mock.receive(':bob!b@host PRIVMSG nick :\x01VERSION\x01');
+
+        // Only VERSION is answered by default
+        expect(requests.args.map(args => args[0].type)).to.deep.equal(['PING', 'TIME', 'VERSION']);
+        expect(mock.written()).to.have.length(2);
+    });
+
+    it('should use custom responders', async function() {
+        const mock = ctcpClient();
+        mock.client.ctcp.addResponder('weather', event => Promise.resolve('sunny for ' + event.nick));
+        mock.client.ctcp.addResponder('VERSION', () => 'custom');
+
+        mock.receive(':bob!b@host PRIVMSG nick :\x01VERSION\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01WEATHER\x01');
+        await Promise.resolve();
+
+        expect(mock.written()).to.deep.equal([
+            'NOTICE bob :\x01VERSION custom\x01',
+            'NOTICE bob :\x01WEATHER sunny for bob\x01',
+        ]);
+    });
+
+    it('should rate limit replies per sender and globally', function() {
+        const clock = sinon.useFakeTimers();
+        try {
+            const mock = ctcpClient({ ctcp: { ping: true, sender_limit: 2, global_limit: 3, rate_interval: 10 } });
+            const ping = nick => mock.receive(':' + nick + '!u@host PRIVMSG nick :\x01PING 1\x01');
+
+            ping('bob');
+            ping('bob');
+            ping('bob');
+            ping('dave');
+            ping('carol');
+            expect(mock.written().map(line => line.split(' ')[1])).to.deep.equal(['bob', 'bob', 'dave']);
+
+            clock.tick(10000);
+            ping('bob');
+            expect(mock.written()).to.have.length(4);
+        } finally {
+            clock.restore();
+        }
+    });
+});
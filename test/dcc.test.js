@@ -0,0 +1,232 @@
+'use strict';
+
+/* globals describe, it, afterEach */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const { Readable } = require('stream');
+const expect = chai.expect;
+const mocks = require('./mocks');
+const Dcc = require('../src/dcc');
+
+chai.use(require('sinon-chai'));
+
+const FILE = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+function dccClient(nick, options) {
+    const mock = mocks.IrcClient({ nick: nick });
+    mock.register();
+    mock.dcc = new Dcc(mock.client, Object.assign({ address: '127.0.0.1', timeout: 5 }, options));
+    return mock;
+}
+
+// Pass the CTCP requests one client has sent on to the other
+async function relay(from, to) {
+    for (let i = 0; i < 100 && !from.written().length; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    from.written().splice(0).forEach(line => {
+        to.receive(':' + from.client.user.nick + '!user@host ' + line);
+    });
+}
+
+function collect(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+function fileSource(spy) {
+    return position => {
+        if (spy) {
+            spy(position);
+        }
+        return Readable.from([FILE.slice(position)]);
+    };
+}
+
+describe('src/dcc.js', function() {
+    let sessions = [];
+
+    afterEach(function() {
+        sessions.forEach(session => (session.cancel ? session.cancel() : session.close()));
+        sessions = [];
+    });
+
+    it('should parse DCC offers', function() {
+        const mock = dccClient('nick');
+        const offers = sinon.spy();
+        const requests = sinon.spy();
+        mock.dcc.on('offer', offers);
+        mock.client.on('ctcp request', requests);
+
+        mock.receive(':bob!b@host PRIVMSG nick :\x01DCC SEND "my file.txt" 3232235777 5000 1024\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01DCC SEND ../../etc/passwd 2001:db8::1 0 20 7\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01DCC CHAT chat 2130706433 6000\x01');
+
+        expect(requests).to.not.have.been.called;
+        expect(offers.args.map(args => {
+            const offer = args[0];
+            return [offer.type, offer.nick, offer.filename, offer.address, offer.port, offer.size, offer.token, offer.passive];
+        })).to.deep.equal([
+            ['send', 'bob', 'my file.txt', '192.168.1.1', 5000, 1024, '', false],
+            ['send', 'bob', 'passwd', '2001:db8::1', 0, 20, '7', true],
+            ['chat', 'bob', '', '127.0.0.1', 6000, 0, '', false],
+        ]);
+
+        // Nothing is accepted without a policy or offer.accept()
+        expect(offers.args.every(args => args[0].state === 'pending')).to.be.true;
+        expect(mock.written()).to.deep.equal([]);
+    });
+
+    it('should not rate limit offers', function() {
+        const mock = dccClient('nick');
+        const offers = sinon.spy();
+        mock.dcc.on('offer', offers);
+
+        for (let i = 0; i < 15; i++) {
+            mock.receive(':bob!b@host PRIVMSG nick :\x01DCC SEND file' + i + '.txt 2130706433 5000 10\x01');
+        }
+
+        expect(offers).to.have.callCount(15);
+    });
+
+    it('should only accept offers the accept policy allows', async function() {
+        const policy = sinon.spy(offer => offer.size < 100);
+        const mock = dccClient('nick', { accept: policy, timeout: 0.05 });
+        const transfers = [];
+        mock.dcc.on('transfer', transfer => {
+            transfer.on('error', () => {});
+            transfers.push(transfer);
+        });
+
+        mock.receive(':bob!b@host PRIVMSG nick :\x01DCC SEND big.iso 2130706433 5000 1000000 1\x01');
+        mock.receive(':bob!b@host PRIVMSG nick :\x01DCC SEND small.txt 2130706433 0 10 2\x01');
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(policy).to.have.been.calledTwice;
+        expect(transfers.map(t => t.filename)).to.deep.equal(['small.txt']);
+
+        // A passive offer is answered with where to connect to us
+        expect(mock.written()[0]).to.match(/^PRIVMSG bob :.DCC SEND small\.txt 2130706433 \d+ 10 2.$/);
+        expect(transfers[0].state).to.equal('failed');
+    });
+
+    it('should fail unanswered offers without erroring the stream', async function() {
+        const mock = dccClient('alice', { timeout: 0.05 });
+        const sending = mock.dcc.send('bob', 'letters.txt', FILE.length, fileSource());
+        const failed = new Promise(resolve => sending.once('failed', resolve));
+
+        const err = await failed;
+        expect(err.message).to.equal('Timed out waiting for a DCC connection');
+        expect(sending.state).to.equal('failed');
+        expect(sending.server).to.equal(null);
+    });
+
+    it('should fail transfers the other side ends early without erroring the stream', async function() {
+        const alice = dccClient('alice');
+        const bob = dccClient('bob');
+        const failures = [];
+        bob.dcc.on('offer', offer => {
+            const transfer = offer.accept();
+            transfer.on('failed', err => failures.push(['bob', err.message]));
+            transfer.resume();
+            sessions.push(transfer);
+        });
+
+        // Offer more than the source has, so the connection closes part way through
+        const sending = alice.dcc.send('bob', 'letters.txt', FILE.length * 2, fileSource());
+        const sent = new Promise(resolve => sending.once('failed', err => {
+            failures.push(['alice', err.message]);
+            resolve();
+        }));
+        sessions.push(sending);
+
+        await relay(alice, bob);
+        await sent;
+        await new Promise(resolve => (failures.length > 1 ? resolve() : sessions[1].once('failed', resolve)));
+
+        expect(failures).to.have.deep.members([
+            ['alice', 'DCC transfer ended early'],
+            ['bob', 'DCC transfer ended early'],
+        ]);
+        expect(sessions[1].state).to.equal('failed');
+    });
+
+    it('should send files', async function() {
+        const alice = dccClient('alice');
+        const bob = dccClient('bob');
+        bob.dcc.on('offer', offer => sessions.push(offer.accept()));
+
+        const sending = alice.dcc.send('bob', 'letters.txt', FILE.length, fileSource());
+        const progress = sinon.spy();
+        sending.on('progress', progress);
+        sessions.push(sending);
+
+        await relay(alice, bob);
+        const received = await collect(sessions[1]);
+
+        expect(received.toString()).to.equal(FILE.toString());
+        expect(sessions[1].filename).to.equal('letters.txt');
+        expect(progress).to.have.been.calledWith({ bytes: FILE.length, size: FILE.length });
+    });
+
+    it('should send files passively', async function() {
+        const alice = dccClient('alice');
+        const bob = dccClient('bob');
+        bob.dcc.on('offer', offer => sessions.push(offer.accept()));
+
+        sessions.push(alice.dcc.send('bob', 'letters.txt', FILE.length, fileSource(), { passive: true }));
+        expect(alice.written()[0]).to.equal('PRIVMSG bob :\x01DCC SEND letters.txt 2130706433 0 36 1\x01');
+
+        await relay(alice, bob);
+        await relay(bob, alice);
+        const received = await collect(sessions[1]);
+
+        expect(received.toString()).to.equal(FILE.toString());
+        await new Promise(resolve => sessions[0].state === 'done' ? resolve() : sessions[0].once('done', resolve));
+    });
+
+    it('should resume transfers', async function() {
+        const alice = dccClient('alice');
+        const bob = dccClient('bob');
+        const source = sinon.spy();
+        bob.dcc.on('offer', offer => sessions.push(offer.accept({ position: 10 })));
+
+        sessions.push(alice.dcc.send('bob', 'letters.txt', FILE.length, fileSource(source)));
+
+        await relay(alice, bob);
+        expect(bob.written()[0]).to.match(/^PRIVMSG alice :.DCC RESUME letters\.txt \d+ 10.$/);
+        await relay(bob, alice);
+        expect(alice.written()[0]).to.match(/^PRIVMSG bob :.DCC ACCEPT letters\.txt \d+ 10.$/);
+        await relay(alice, bob);
+        const received = await collect(sessions[1]);
+
+        expect(source).to.have.been.calledWith(10);
+        expect(received.toString()).to.equal(FILE.slice(10).toString());
+        expect(sessions[1].position + sessions[1].bytes).to.equal(FILE.length);
+    });
+
+    it('should chat', async function() {
+        const alice = dccClient('alice');
+        const bob = dccClient('bob');
+        const chat = alice.dcc.chat('bob');
+        sessions.push(chat);
+        bob.dcc.on('offer', offer => sessions.push(offer.accept()));
+
+        await relay(alice, bob);
+        await new Promise(resolve => sessions[1].once('connected', resolve));
+
+        const messages = new Promise(resolve => chat.once('message', resolve));
+        const actions = new Promise(resolve => chat.once('action', resolve));
+        sessions[1].say('hello alice');
+        sessions[1].action('waves');
+
+        expect(await messages).to.deep.equal({ nick: 'bob', message: 'hello alice' });
+        expect(await actions).to.deep.equal({ nick: 'bob', message: 'waves' });
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+/* globals describe, it */
+const chai = require('chai');
+const expect = chai.expect;
+const Formatting = require('../src/formatting');
+
+chai.use(require('chai-subset'));
+
+const TEXT = '\x02bold\x02 \x0304,12red on blue\x03 \x1Dit\x1Funder\x0F \x04ff8800orange\x04 \x0399,05x';
+
+describe('src/formatting.js', function() {
+    describe('parse()', function() {
+        it('should split text into styled spans', function() {
+            expect(Formatting.parse(TEXT)).to.containSubset([
+                { text: 'bold', bold: true, fg: null },
+                { text: ' ', bold: false },
+                { text: 'red on blue', fg: 4, bg: 12 },
+                { text: ' ', fg: null, bg: null },
+                { text: 'it', italic: true, underline: false },
+                { text: 'under', italic: true, underline: true },
+                { text: ' ', italic: false, underline: false },
+                { text: 'orange', fg: '#ff8800', bg: null },
+                { text: ' ', fg: null },
+                { text: 'x', fg: null, bg: 5 },
+            ]);
+        });
+
+        it('should keep the background when only the foreground changes', function() {
+            const spans = Formatting.parse('\x0302,03a\x0304b\x03,c\x1E\x11\x16d');
+            expect(spans.map(s => [s.text, s.fg, s.bg])).to.deep.equal([
+                ['a', 2, 3],
+                ['b', 4, 3],
+                [',c', null, null],
+                ['d', null, null],
+            ]);
+            expect(spans[3]).to.containSubset({ strikethrough: true, monospace: true, reverse: true });
+        });
+    });
+
+    it('should strip formatting', function() {
+        expect(Formatting.strip(TEXT)).to.equal('bold red on blue itunder orange x');
+        expect(Formatting.strip('\x031,22 items')).to.equal(' items');
+    });
+
+    it('should render spans back to the same styles', function() {
+        const spans = Formatting.parse(TEXT);
+        expect(Formatting.parse(Formatting.render(spans))).to.deep.equal(spans);
+
+        // Text after a colour that could be read as a background
+        const rendered = Formatting.render([{ text: 'a', fg: 4 }, { text: ',5' }]);
+        expect(Formatting.parse(rendered).map(s => s.text)).to.deep.equal(['a', ',5']);
+    });
+
+    it('should convert to HTML', function() {
+        expect(Formatting.toHtml('<b>\x02\x0304bold red\x0F & \x16rev')).to.equal(
+            '&lt;b&gt;<span style="font-weight:bold;color:#ff0000">bold red</span> &amp; ' +
+            '<span style="color:#ffffff;background-color:#000000">rev</span>'
+        );
+    });
+
+    it('should convert to ANSI', function() {
+        expect(Formatting.toAnsi('\x02\x0304,12a\x0F b \x04ff8800c')).to.equal(
+            '\x1b[0;1;91;104ma\x1b[0m b \x1b[0;38;2;255;136;0mc\x1b[0m'
+        );
+    });
+
+    describe('Markdown', function() {
+        it('should convert to Markdown', function() {
+            expect(Formatting.toMarkdown('\x02bold \x1Dboth\x02 italic\x1D \x1Funder\x1F \x1Estruck\x1E \x11co*de\x11 2*3'))
+                .to.equal('**bold _both_** _italic_ __under__ ~~struck~~ `co*de` 2\\*3');
+        });
+
+        it('should convert from Markdown', function() {
+            expect(Formatting.fromMarkdown('**bold _it_** `co*de` 2 * 3 snake_case ~~gone~~ __u__ \\*x\\*'))
+                .to.equal('\x02bold \x1Dit\x02\x1D \x11co*de\x11 2 * 3 snake_case \x1Egone\x1E \x1Fu\x1F *x*');
+        });
+    });
+
+    describe('builder()', function() {
+        it('should compose formatted messages', function() {
+            const message = Formatting.builder()
+                .bold('Warning: ')
+                .colour('red', 'restart in ')
+                .underline(Formatting.builder().text('5 ').italic('minutes'))
+                .colour(3, '#ffff00', '!')
+                .toString();
+
+            expect(Formatting.parse(message).map(s => [s.text, s.bold, s.underline, s.italic, s.fg, s.bg])).to.deep.equal([
+                ['Warning: ', true, false, false, null, null],
+                ['restart in ', false, false, false, 4, null],
+                ['5 ', false, true, false, null, null],
+                ['minutes', false, true, true, null, null],
+                ['!', false, false, false, 3, 8],
+            ]);
+        });
+
+        it('should reject unknown colours', function() {
+            expect(() => Formatting.builder().colour('puce', 'x')).to.throw(TypeError);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const Masks = require('../src/masks');
+const NetworkInfo = require('../src/networkinfo');
+
+function network(options) {
+    const info = new NetworkInfo();
+    Object.assign(info.options, options);
+    return info;
+}
+
+describe('src/masks.js', function() {
+    const user = { nick: 'Bob[m]', ident: '~bobby', hostname: 'host-1.dsl.example.com' };
+
+    describe('match', function() {
+        it('should match wildcards against a user', function() {
+            expect(Masks.match('*!*@*.example.com', user)).to.be.true;
+            expect(Masks.match('bob*!*@*', user)).to.be.true;
+            expect(Masks.match('*!?bobby@host-?.dsl.example.com', user)).to.be.true;
+            expect(Masks.match('*!*@*.example.org', user)).to.be.false;
+            expect(Masks.match('*!bobby@*', user)).to.be.false;
+        });
+
+        it('should match hostmask strings and partial masks', function() {
+            expect(Masks.match('Bob[m]', 'bob[m]!u@h')).to.be.true;
+            expect(Masks.match('*@h', 'bob!u@h')).to.be.true;
+            expect(Masks.match('example.com', 'bob!u@example.com')).to.be.true;
+        });
+
+        it('should fold case using the network CASEMAPPING', function() {
+            expect(Masks.match('bob{m}!*@*', user, network({ CASEMAPPING: 'rfc1459' }))).to.be.true;
+            expect(Masks.match('bob{m}!*@*', user, network({ CASEMAPPING: 'ascii' }))).to.be.false;
+        });
+
+        it('should not match extbans', function() {
+            const net = network({ EXTBAN: { prefix: '~', types: 'a' } });
+            expect(Masks.match('~a:*', user, net)).to.be.false;
+        });
+    });
+
+    describe('build', function() {
+        it('should build masks in each style', function() {
+            expect(Masks.build(user, 'host')).to.equal('*!*@host-1.dsl.example.com');
+            expect(Masks.build(user, 'user@host')).to.equal('*!*bobby@host-1.dsl.example.com');
+            expect(Masks.build(user, 'domain')).to.equal('*!*@*.dsl.example.com');
+            expect(Masks.build(user, 'user@domain')).to.equal('*!*bobby@*.dsl.example.com');
+            expect(Masks.build(user, 'nick')).to.equal('Bob[m]!*@*');
+            expect(Masks.build('bob!u@10.0.0.1', 'domain')).to.equal('*!*@10.0.0.*');
+        });
+
+        it('should throw for unknown styles', function() {
+            expect(() => Masks.build(user, 'nope')).to.throw(TypeError);
+        });
+    });
+
+    describe('extbans', function() {
+        it('should parse extbans with a prefix', function() {
+            const net = network({ EXTBAN: { prefix: '$', types: 'ajr' } });
+            expect(Masks.parseExtBan('$a:account', net)).to.deep.equal({ type: 'a', value: 'account', negated: false });
+            expect(Masks.parseExtBan('$~a', net)).to.deep.equal({ type: 'a', value: '', negated: true });
+            expect(Masks.parseExtBan('$x:foo', net)).to.be.null;
+            expect(Masks.parseExtBan('*!*@host', net)).to.be.null;
+        });
+
+        it('should parse extbans without a prefix', function() {
+            const net = network({ EXTBAN: { prefix: '', types: 'R' } });
+            expect(Masks.parseExtBan('R:account', net)).to.deep.equal({ type: 'R', value: 'account', negated: false });
+            expect(Masks.parseExtBan('R', net)).to.be.null;
+        });
+
+        it('should build extbans', function() {
+            const net = network({ EXTBAN: { prefix: '~', types: 'aq' } });
+            expect(Masks.buildExtBan('q', '*!*@host', net)).to.equal('~q:*!*@host');
+            expect(Masks.buildExtBan('x', 'value', net)).to.be.null;
+            expect(Masks.buildExtBan('a', 'account', new NetworkInfo())).to.be.null;
+        });
+    });
+});
@@ -2,8 +2,42 @@
 
 const sinon = require('sinon');
 const _ = require('lodash');
+const EventEmitter = require('eventemitter3');
+const Client = require('../src/client');
+
+class MockTransport extends EventEmitter {
+    constructor(options) {
+        super();
+        this.options = options;
+        this.written = [];
+        MockTransport.last = this;
+    }
+
+    connect() {
+        this.emit('open');
+    }
+
+    writeLine(line, cb) {
+        this.written.push(line);
+        if (cb) {
+            setTimeout(cb, 0);
+        }
+    }
+
+    close() {
+        this.emit('close');
+    }
+
+    disposeSocket() {}
+
+    setEncoding() {
+        return true;
+    }
+}
 
 module.exports = {
+    MockTransport: MockTransport,
+
     IrcCommandHandler: function(modules) {
         const handlers = {};
         modules.map(function(m) {
@@ -34,5 +68,33 @@ module.exports = {
             stubs: stubs,
             spies: handler
         };
+    },
+
+    // A client connected through a transport that records written lines and lets
+    // tests feed it lines from the server
+    IrcClient: function(options) {
+        const client = new Client(_.extend({
+            nick: 'nick',
+            transport: MockTransport,
+            auto_reconnect: false,
+            ping_interval: 0
+        }, options));
+        client.connect();
+
+        const transport = MockTransport.last;
+        return {
+            client: client,
+            transport: transport,
+            written: function() {
+                return transport.written;
+            },
+            receive: function(line) {
+                transport.emit('line', line);
+            },
+            register: function() {
+                transport.emit('line', ':server 001 ' + client.user.nick + ' :Welcome');
+                transport.written = [];
+            }
+        };
     }
 };
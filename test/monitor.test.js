@@ -0,0 +1,180 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const mocks = require('./mocks');
+
+// Registers in the order servers use: 001, then ISUPPORT, then the MOTD
+function monitorClient(isupport, options) {
+    const mock = mocks.IrcClient(options);
+    mock.register = function() {
+        mock.receive(':server 001 nick :Welcome');
+        if (isupport) {
+            mock.receive(':server 005 nick ' + isupport + ' :are supported by this server');
+        }
+        mock.receive(':server 376 nick :End of /MOTD command.');
+        mock.transport.written = [];
+    };
+    return mock;
+}
+
+function collectEvents(mock) {
+    const events = [];
+    mock.client.on('user online', event => events.push(['online', event.nick]));
+    mock.client.on('user offline', event => events.push(['offline', event.nick]));
+    return events;
+}
+
+describe('src/monitor.js', function() {
+    describe('MONITOR', function() {
+        it('should add and remove nicks with MONITOR', function() {
+            const mock = monitorClient('MONITOR=100');
+            mock.register();
+
+            mock.client.monitor.add(['alice', 'bob']);
+            mock.client.monitor.remove('alice');
+            mock.client.monitor.add('alice');
+            mock.client.monitor.clear();
+
+            expect(mock.written()).to.deep.equal([
+                'MONITOR + alice,bob',
+                'MONITOR - alice',
+                'MONITOR + alice',
+                'MONITOR C',
+            ]);
+            expect(mock.client.monitor.list()).to.deep.equal([]);
+        });
+
+        it('should emit online and offline events', function() {
+            const mock = monitorClient('MONITOR');
+            const events = collectEvents(mock);
+            mock.register();
+
+            mock.receive(':server 730 nick :alice!a@host,bob!b@host');
+            mock.receive(':server 731 nick :bob');
+
+            expect(events).to.deep.equal([['online', 'alice'], ['online', 'bob'], ['offline', 'bob']]);
+        });
+
+        it('should stay within the list limit', function() {
+            const mock = monitorClient('MONITOR=2');
+            mock.register();
+
+            mock.client.monitor.add(['alice', 'bob', 'carol']);
+            mock.client.monitor.remove('bob');
+
+            expect(mock.written()).to.deep.equal([
+                'MONITOR + alice,bob',
+                'MONITOR - bob',
+                'MONITOR + carol',
+            ]);
+        });
+
+        it('should not send nicks the server refused again until there is room', function() {
+            const mock = monitorClient('MONITOR');
+            mock.register();
+
+            mock.client.monitor.add(['alice', 'bob']);
+            mock.receive(':server 734 nick 1 bob :Monitor list is full.');
+            mock.client.monitor.add('carol');
+            mock.client.monitor.add('alice');
+            mock.client.monitor.remove('alice');
+
+            expect(mock.written()).to.deep.equal([
+                'MONITOR + alice,bob',
+                'MONITOR + carol',
+                'MONITOR - alice',
+                'MONITOR + bob',
+            ]);
+        });
+
+        it('should send the list again after reconnecting', function() {
+            const mock = monitorClient('MONITOR');
+            mock.transport.written = [];
+            mock.client.monitor.add(['alice', 'bob']);
+            expect(mock.written()).to.deep.equal([]);
+
+            // Nothing is sent until the server has said what it supports
+            mock.receive(':server 001 nick :Welcome');
+            mock.receive(':server 005 nick MONITOR :are supported by this server');
+            expect(mock.written()).to.deep.equal([]);
+            mock.receive(':server 422 nick :MOTD File is missing');
+            expect(mock.written()).to.deep.equal(['MONITOR + alice,bob']);
+
+            mock.client.connection.emit('socket close');
+            mock.transport.written = [];
+            mock.receive(':server 001 nick :Welcome');
+            mock.receive(':server 376 nick :End of /MOTD command.');
+            expect(mock.written()).to.deep.equal(['MONITOR + alice,bob']);
+        });
+    });
+
+    describe('WATCH', function() {
+        it('should use WATCH when MONITOR is not supported', function() {
+            const mock = monitorClient('WATCH=128');
+            const events = collectEvents(mock);
+            mock.register();
+
+            mock.client.monitor.add(['alice', 'bob']);
+            mock.client.monitor.remove('bob');
+            expect(mock.written()).to.deep.equal(['WATCH +alice +bob', 'WATCH -bob']);
+
+            mock.receive(':server 604 nick alice a host 1588000000 :is online');
+            mock.receive(':server 601 nick alice a host 1588000001 :logged offline');
+            expect(events).to.deep.equal([['online', 'alice'], ['offline', 'alice']]);
+        });
+    });
+
+    describe('ISON', function() {
+        it('should poll with ISON and emit changes', function() {
+            // Polls are made by hand here rather than on a timer
+            const mock = monitorClient(null, { monitor_ison_interval: 0 });
+            const events = collectEvents(mock);
+            mock.register();
+
+            mock.client.monitor.add(['alice', 'bob']);
+            expect(mock.written()).to.deep.equal(['ISON alice bob']);
+            mock.receive(':server 303 nick :Alice');
+
+            mock.client.monitor.pollIson();
+            mock.receive(':server 303 nick :Alice');
+
+            mock.client.monitor.pollIson();
+            mock.receive(':server 303 nick :bob');
+
+            expect(events).to.deep.equal([
+                ['online', 'Alice'],
+                ['offline', 'bob'],
+                ['offline', 'alice'],
+                ['online', 'bob'],
+            ]);
+        });
+
+        it('should poll again with the new list when nicks are added during a poll', function() {
+            const mock = monitorClient();
+            mock.register();
+
+            mock.client.monitor.add('alice');
+            mock.client.monitor.add('bob');
+            expect(mock.written()).to.deep.equal(['ISON alice']);
+
+            mock.receive(':server 303 nick :');
+            expect(mock.written()).to.deep.equal(['ISON alice', 'ISON alice bob']);
+        });
+
+        it('should stop polling once the server announces MONITOR', function() {
+            const mock = monitorClient();
+            mock.register();
+
+            mock.client.monitor.add('alice');
+            mock.receive(':server 005 nick MONITOR=100 :are supported by this server');
+            mock.receive(':server 303 nick :alice');
+
+            expect(mock.written()).to.deep.equal(['ISON alice', 'MONITOR + alice']);
+            expect(mock.client.monitor.ison).to.equal(null);
+            expect(mock.client.monitor.ison_timer).to.equal(null);
+        });
+    });
+});
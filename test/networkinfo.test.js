@@ -54,4 +54,36 @@ describe('src/networkinfo.js', function() {
             assert.deepEqual(results, [false, false, false, false, false, false]);
         });
     });
+
+    describe('caseFold', function() {
+        function withCasemapping(casemapping) {
+            const client = newMockClient();
+            if (casemapping) {
+                client.dispatch({
+                    command: '005',
+                    params: ['nick', 'CASEMAPPING=' + casemapping],
+                    tags: []
+                });
+            }
+            return client.network;
+        }
+
+        it('should default to rfc1459', function() {
+            const network = withCasemapping();
+            assert.equal(network.caseFold('Nick[]\\^'), 'nick{}|~');
+        });
+
+        it('should fold according to CASEMAPPING', function() {
+            assert.equal(withCasemapping('ascii').caseFold('Nick[]\\^'), 'nick[]\\^');
+            assert.equal(withCasemapping('strict-rfc1459').caseFold('Nick[]\\^'), 'nick{}|^');
+            assert.equal(withCasemapping('rfc7613').caseFold('ＮickÉ'), 'nické');
+        });
+
+        it('should compare targets with isSameTarget', function() {
+            const network = withCasemapping('rfc1459');
+            assert.isTrue(network.isSameTarget('#Chan[1]', '#chan{1}'));
+            assert.isFalse(network.isSameTarget('#chan', '#chan2'));
+            assert.isFalse(network.isSameTarget('#chan', undefined));
+        });
+    });
 });
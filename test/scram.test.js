@@ -0,0 +1,129 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+const Scram = require('../src/scram');
+const NetworkInfo = require('../src/networkinfo');
+const IrcCommandHandler = require('../src/commands/handler');
+
+chai.use(require('sinon-chai'));
+
+function b64(str) {
+    return Buffer.from(str, 'utf8').toString('base64');
+}
+
+function newHandler(options) {
+    const connection = {
+        options: options,
+        write: sinon.spy()
+    };
+    return new IrcCommandHandler(connection, new NetworkInfo());
+}
+
+function authenticate(handler, payload) {
+    handler.dispatch({
+        command: 'AUTHENTICATE',
+        params: [payload],
+        tags: {}
+    });
+}
+
+describe('src/scram.js', function() {
+    it('should map SASL mechanisms to hashes', function() {
+        expect(Scram.mechanismHash('SCRAM-SHA-1')).to.equal('sha1');
+        expect(Scram.mechanismHash('scram-sha-256')).to.equal('sha256');
+        expect(Scram.mechanismHash('PLAIN')).to.equal(null);
+    });
+
+    it('should complete the RFC 5802 SCRAM-SHA-1 exchange', function() {
+        const scram = new Scram('sha1', 'user', 'pencil', 'fyko+d2lbbFgONRv9qkxdawL');
+
+        expect(scram.clientFirst()).to.equal('n,,n=user,r=fyko+d2lbbFgONRv9qkxdawL');
+        expect(scram.clientFinal('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096'))
+            .to.equal('c=biws,r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,p=v0X8v3Bz2T0CJGbJQyF0X+HI4Ts=');
+        expect(scram.verifyServerFinal('v=rmF9pqV8S7suAoZWja4dJRkFsKQ=')).to.be.true;
+    });
+
+    it('should complete the RFC 7677 SCRAM-SHA-256 exchange', function() {
+        const scram = new Scram('sha256', 'user', 'pencil', 'rOprNGfwEbeRWgbNEkqO');
+
+        expect(scram.clientFirst()).to.equal('n,,n=user,r=rOprNGfwEbeRWgbNEkqO');
+        expect(scram.clientFinal('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'))
+            .to.equal('c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=');
+        expect(scram.verifyServerFinal('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4=')).to.be.true;
+    });
+
+    it('should escape reserved characters in the account name', function() {
+        const scram = new Scram('sha256', 'a=b,c', 'pencil', 'nonce');
+        expect(scram.clientFirst()).to.equal('n,,n=a=3Db=2Cc,r=nonce');
+    });
+
+    it('should reject a server nonce not starting with the client nonce', function() {
+        const scram = new Scram('sha1', 'user', 'pencil', 'fyko+d2lbbFgONRv9qkxdawL');
+        scram.clientFirst();
+        expect(() => scram.clientFinal('r=other,s=QSXCR+Q6sek8bf92,i=4096')).to.throw(/nonce/);
+    });
+
+    it('should refuse iteration counts that would block for too long', function() {
+        const scram = new Scram('sha1', 'user', 'pencil', 'fyko+d2lbbFgONRv9qkxdawL');
+        scram.clientFirst();
+        expect(() => scram.clientFinal('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=100000000'))
+            .to.throw(/iteration count/);
+    });
+
+    it('should reject a wrong server signature', function() {
+        const scram = new Scram('sha1', 'user', 'pencil', 'fyko+d2lbbFgONRv9qkxdawL');
+        scram.clientFirst();
+        scram.clientFinal('r=fyko+d2lbbFgONRv9qkxdawL3rfcNHYJY1ZVvWVs7j,s=QSXCR+Q6sek8bf92,i=4096');
+        expect(() => scram.verifyServerFinal('v=' + b64('not the signature'))).to.throw(/signature/);
+    });
+
+    describe('AUTHENTICATE handler', function() {
+        const options = {
+            sasl_mechanism: 'SCRAM-SHA-1',
+            account: { account: 'user', password: 'pencil' }
+        };
+
+        it('should run the SCRAM exchange over AUTHENTICATE', function() {
+            const handler = newHandler(options);
+
+            authenticate(handler, '+');
+            const client_first = handler.connection.write.lastCall.args[0].split(' ')[1];
+            const nonce = Buffer.from(client_first, 'base64').toString().split(',r=')[1];
+
+            const scram = new Scram('sha1', 'user', 'pencil', nonce);
+            scram.clientFirst();
+            const server_first = 'r=' + nonce + 'server,s=QSXCR+Q6sek8bf92,i=4096';
+            const expected_final = scram.clientFinal(server_first);
+
+            authenticate(handler, b64(server_first));
+            expect(handler.connection.write.lastCall.args[0]).to.equal('AUTHENTICATE ' + b64(expected_final));
+
+            authenticate(handler, b64('v=' + scram.server_signature.toString('base64')));
+            expect(handler.connection.write.lastCall.args[0]).to.equal('AUTHENTICATE +');
+        });
+
+        it('should abort and emit an error when the server signature is wrong', function() {
+            const handler = newHandler(options);
+            const onError = sinon.spy();
+            handler.on('irc error', onError);
+
+            authenticate(handler, '+');
+            const client_first = handler.connection.write.lastCall.args[0].split(' ')[1];
+            const nonce = Buffer.from(client_first, 'base64').toString().split(',r=')[1];
+
+            authenticate(handler, b64('r=' + nonce + 'server,s=QSXCR+Q6sek8bf92,i=4096'));
+            authenticate(handler, b64('v=' + b64('not the signature')));
+
+            expect(handler.connection.write.lastCall.args[0]).to.equal('AUTHENTICATE *');
+            expect(onError).to.have.been.calledOnce;
+            expect(onError.firstCall.args[0]).to.include({
+                error: 'sasl_failed',
+                mechanism: 'SCRAM-SHA-1'
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+/* globals describe, it, beforeEach, afterEach */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+const mocks = require('./mocks');
+
+describe('src/sendqueue.js', function() {
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    function floodClient() {
+        const mock = mocks.IrcClient({
+            flood_protection: true,
+            flood_protection_burst: 2,
+            flood_protection_interval: 1,
+        });
+
+        // Let the bucket refill after the registration lines
+        clock.tick(10000);
+        mock.transport.written = [];
+        return mock;
+    }
+
+    it('should send lines straight away when flood protection is off', function() {
+        const mock = mocks.IrcClient();
+        mock.transport.written = [];
+        for (let i = 0; i < 10; i++) {
+            mock.client.say('#chan', 'line ' + i);
+        }
+
+        expect(mock.written()).to.have.length(10);
+        expect(mock.client.connection.send_queue.length).to.equal(0);
+    });
+
+    it('should send a burst and then one line per interval', function() {
+        const mock = floodClient();
+        mock.client.say('#chan', 'one');
+        mock.client.say('#chan', 'two');
+        mock.client.say('#chan', 'three');
+        mock.client.say('#chan', 'four');
+
+        expect(mock.written()).to.deep.equal(['PRIVMSG #chan one', 'PRIVMSG #chan two']);
+        expect(mock.client.connection.send_queue.length).to.equal(2);
+
+        clock.tick(1000);
+        expect(mock.written()).to.have.length(3);
+        clock.tick(1000);
+        expect(mock.written()[3]).to.equal('PRIVMSG #chan four');
+        expect(mock.client.connection.send_queue.length).to.equal(0);
+    });
+
+    it('should send high priority lines first', function() {
+        const mock = floodClient();
+        ['one', 'two', 'three'].forEach(msg => mock.client.say('#chan', msg));
+        mock.client.raw('MODE #chan +m');
+        mock.client.raw('PONG server');
+
+        clock.tick(3000);
+        expect(mock.written().slice(2)).to.deep.equal(['PONG server', 'MODE #chan +m', 'PRIVMSG #chan three']);
+    });
+
+    it('should round-robin between targets', function() {
+        const mock = floodClient();
+        ['1', '2', '3', '4'].forEach(msg => mock.client.say('#busy', msg));
+        mock.client.say('#quiet', 'hello');
+        mock.client.say('nick', 'hi');
+
+        clock.tick(4000);
+        expect(mock.written()).to.deep.equal([
+            'PRIVMSG #busy 1',
+            'PRIVMSG #busy 2',
+            'PRIVMSG #busy 3',
+            'PRIVMSG #quiet hello',
+            'PRIVMSG nick hi',
+            'PRIVMSG #busy 4',
+        ]);
+    });
+
+    it('should not send cancelled lines', function() {
+        const mock = floodClient();
+        mock.client.raw('PRIVMSG #chan one');
+        const sent = mock.client.raw('PRIVMSG #chan two');
+        const queued = mock.client.raw('PRIVMSG #chan three');
+
+        expect(sent.cancel()).to.be.false;
+        expect(queued.cancel()).to.be.true;
+        expect(mock.client.connection.send_queue.length).to.equal(0);
+
+        clock.tick(5000);
+        expect(mock.written()).to.have.length(2);
+    });
+
+    it('should drop queued lines when the connection closes', function() {
+        const mock = floodClient();
+        ['one', 'two', 'three'].forEach(msg => mock.client.say('#chan', msg));
+        mock.transport.close();
+
+        expect(mock.client.connection.send_queue.length).to.equal(0);
+        clock.tick(5000);
+        expect(mock.written()).to.have.length(2);
+    });
+
+    it('should keep the same queue when timers are cleared', function() {
+        const mock = floodClient();
+        const queue = mock.client.connection.send_queue;
+        const callback = sinon.spy();
+        ['one', 'two'].forEach(msg => mock.client.say('#chan', msg));
+        mock.client.connection.write('PRIVMSG #chan three', callback);
+
+        mock.client.connection.clearTimers();
+
+        expect(mock.client.connection.send_queue).to.equal(queue);
+        expect(queue.length).to.equal(0);
+        clock.tick(5000);
+        expect(callback.calledOnce).to.be.true;
+        expect(mock.written()).to.have.length(2);
+    });
+});
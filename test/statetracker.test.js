@@ -0,0 +1,123 @@
+'use strict';
+
+/* globals describe, it */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const expect = chai.expect;
+const mocks = require('./mocks');
+const Client = require('../src/client');
+
+function trackingClient() {
+    const mock = mocks.IrcClient({ nick: 'me', enable_state_tracking: true });
+    mock.register();
+    mock.receive(':me!u@host JOIN #chan');
+    mock.receive(':server 353 me = #chan :@me bob +carol');
+    mock.receive(':server 366 me #chan :End of /NAMES list.');
+    return mock;
+}
+
+describe('src/statetracker.js', function() {
+    it('should not track state unless enabled', function() {
+        const mock = mocks.IrcClient();
+        expect(mock.client.channels).to.be.undefined;
+        expect(mock.client.users).to.be.undefined;
+    });
+
+    it('should start tracking when the option is given to connect()', function() {
+        const client = new Client();
+        expect(client.channels).to.be.undefined;
+
+        client.connect({
+            nick: 'me',
+            enable_state_tracking: true,
+            transport: mocks.MockTransport,
+            auto_reconnect: false,
+            ping_interval: 0,
+        });
+        mocks.MockTransport.last.emit('line', ':me!u@host JOIN #chan');
+
+        expect(client.channels.get('#chan').members.has('me')).to.be.true;
+    });
+
+    it('should track channel members from joins and NAMES', function() {
+        const mock = trackingClient();
+        mock.receive(':dave!d@host JOIN #Chan');
+
+        const channel = mock.client.channels.get('#CHAN');
+        expect(channel.name).to.equal('#chan');
+        expect(Array.from(channel.members.values()).map(m => m.user.nick)).to.deep.equal(['me', 'bob', 'carol', 'dave']);
+        expect(channel.members.get('carol').modes).to.deep.equal(['v']);
+        expect(mock.client.users.get('dave')).to.include({ username: 'd', host: 'host' });
+    });
+
+    it('should share users between channels', function() {
+        const mock = trackingClient();
+        mock.receive(':me!u@host JOIN #other');
+        mock.receive(':bob!b@host JOIN #other');
+        mock.receive(':bob!b@host NICK bobby');
+        mock.receive(':bobby!b@host AWAY :lunch');
+
+        const user = mock.client.users.get('bobby');
+        expect(mock.client.users.has('bob')).to.be.false;
+        expect(mock.client.channels.get('#chan').members.get('bobby').user).to.equal(user);
+        expect(mock.client.channels.get('#other').members.get('BOBBY').user).to.equal(user);
+        expect(user).to.include({ away: true, away_message: 'lunch' });
+    });
+
+    it('should remove members on part, kick and quit', function() {
+        const mock = trackingClient();
+        mock.receive(':me!u@host JOIN #other');
+        mock.receive(':bob!b@host JOIN #other');
+
+        mock.receive(':bob!b@host PART #chan');
+        expect(mock.client.channels.get('#chan').members.has('bob')).to.be.false;
+        expect(mock.client.users.has('bob')).to.be.true;
+
+        mock.receive(':me!u@host KICK #chan carol :bye');
+        expect(mock.client.users.has('carol')).to.be.false;
+
+        mock.receive(':bob!b@host QUIT :gone');
+        expect(mock.client.channels.get('#other').members.has('bob')).to.be.false;
+        expect(mock.client.users.has('bob')).to.be.false;
+
+        mock.receive(':me!u@host PART #chan');
+        expect(mock.client.channels.has('#chan')).to.be.false;
+    });
+
+    it('should track prefix modes and topics', function() {
+        const mock = trackingClient();
+        mock.receive(':me!u@host MODE #chan +o-v carol carol');
+        mock.receive(':bob!b@host TOPIC #chan :New topic');
+
+        const channel = mock.client.channels.get('#chan');
+        expect(channel.members.get('carol').modes).to.deep.equal(['o']);
+        expect(channel).to.include({ topic: 'New topic', topic_set_by: 'bob' });
+    });
+
+    it('should track account and host changes', function() {
+        const mock = trackingClient();
+        mock.receive(':bob!b@host ACCOUNT bobsacct');
+        mock.receive(':bob!b@host CHGHOST newident new.host');
+
+        expect(mock.client.users.get('bob')).to.include({
+            account: 'bobsacct',
+            username: 'newident',
+            host: 'new.host',
+        });
+    });
+
+    it('should respect the network casemapping', function() {
+        const mock = trackingClient();
+        mock.receive(':nick[a]!n@host JOIN #chan');
+
+        expect(mock.client.users.get('NICK{A}')).to.include({ nick: 'nick[a]' });
+    });
+
+    it('should clear state when disconnected', function() {
+        const mock = trackingClient();
+        mock.client.connection.emit('socket close');
+
+        expect(mock.client.channels.size).to.equal(0);
+        expect(mock.client.users.size).to.equal(0);
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+/* globals describe, it, afterEach */
+/* eslint-disable no-unused-expressions */
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const expect = chai.expect;
+const Sts = require('../src/sts');
+const mocks = require('./mocks');
+
+describe('src/sts', function() {
+    describe('parsePolicy', function() {
+        it('should parse port, duration and preload', function() {
+            expect(Sts.parsePolicy('port=6697,duration=300,preload')).to.deep.equal({
+                port: 6697,
+                duration: 300,
+                preload: true,
+            });
+        });
+
+        it('should ignore invalid values', function() {
+            expect(Sts.parsePolicy('port=abc,duration=')).to.deep.equal({
+                port: null,
+                duration: null,
+                preload: false,
+            });
+        });
+    });
+
+    describe('policies', function() {
+        it('should only return policies that have not expired', function() {
+            const store = new Sts.MemoryStore();
+            Sts.savePolicy(store, 'IRC.Example.com', 6697, 300);
+            expect(Sts.getPolicy(store, 'irc.example.com')).to.include({ port: 6697, duration: 300 });
+
+            store.get('irc.example.com').expires_at = Date.now() - 1;
+            expect(Sts.getPolicy(store, 'irc.example.com')).to.be.null;
+            expect(store.get('irc.example.com')).to.be.null;
+        });
+
+        it('should remove a policy with a duration of 0', function() {
+            const store = new Sts.MemoryStore();
+            Sts.savePolicy(store, 'irc.example.com', 6697, 300);
+            Sts.savePolicy(store, 'irc.example.com', 6697, 0);
+            expect(Sts.getPolicy(store, 'irc.example.com')).to.be.null;
+        });
+    });
+
+    describe('FileStore', function() {
+        const file_path = path.join(os.tmpdir(), 'irc-framework-sts-test-' + process.pid + '.json');
+
+        afterEach(function() {
+            try {
+                fs.unlinkSync(file_path);
+            } catch (err) {
+                // Not every test writes the file
+            }
+        });
+
+        it('should persist policies between instances', function() {
+            Sts.savePolicy(new Sts.FileStore(file_path), 'irc.example.com', 6697, 300);
+            expect(Sts.getPolicy(new Sts.FileStore(file_path), 'irc.example.com')).to.include({ port: 6697 });
+        });
+
+        it('should treat a missing file as having no policies', function() {
+            expect(new Sts.FileStore(file_path).get('irc.example.com')).to.be.null;
+        });
+    });
+
+    describe('client', function() {
+        it('should reconnect with TLS when a policy is seen over plaintext', function(done) {
+            const store = new Sts.MemoryStore();
+            const mock = mocks.IrcClient({ host: 'irc.example.com', port: 6667, sts_policy_store: store });
+
+            mock.receive(':server CAP * LS :sts=port=6697,duration=300 multi-prefix');
+            expect(mock.written()).to.not.include('CAP REQ :multi-prefix');
+
+            setTimeout(function() {
+                const transport = mock.client.connection.transport;
+                expect(transport).to.not.equal(mock.transport);
+                expect(transport.options).to.include({ tls: true, port: 6697 });
+
+                // The policy is only stored once seen over a secure connection
+                expect(Sts.getPolicy(store, 'irc.example.com')).to.be.null;
+                transport.emit('line', ':server CAP * LS :sts=duration=300');
+                expect(Sts.getPolicy(store, 'irc.example.com')).to.include({ port: 6697, duration: 300 });
+                done();
+            }, 5);
+        });
+
+        it('should connect with TLS when a policy exists for the host', function() {
+            const store = new Sts.MemoryStore();
+            Sts.savePolicy(store, 'irc.example.com', 6697, 300);
+
+            const mock = mocks.IrcClient({ host: 'irc.example.com', port: 6667, sts_policy_store: store });
+            expect(mock.transport.options).to.include({ tls: true, port: 6697 });
+        });
+    });
+});